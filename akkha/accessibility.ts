@@ -0,0 +1,270 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+
+/**
+ * The colours used for one element of the arena.
+ */
+interface ElementColours {
+    activeGlyph: string;
+    inactiveGlyph: string;
+    /** Should be partly transparent so that the arena shows through. */
+    quadrant: string;
+    orb: string;
+}
+
+/**
+ * A palette for the elements, indexed by ElementType.
+ */
+interface Theme {
+    name: string;
+    elements: ElementColours[];
+}
+
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const THEME_STORAGE_KEY = "akkha-theme";
+
+/**
+ * The palettes besides the default one. The colour-blind palettes are based on the Okabe-Ito palette,
+ * and also tell the elements apart by lightness.
+ */
+const THEMES: { [id: string]: Theme } = {
+    deuteranopia: {
+        name: "Red-green safe",
+        elements: [
+            { activeGlyph: "#d55e00", inactiveGlyph: "#7a3d10", quadrant: "#d55e00aa", orb: "#e69f00" },
+            { activeGlyph: "#2b2b2b", inactiveGlyph: "#1a1a1a", quadrant: "#000000aa", orb: "#000000" },
+            { activeGlyph: "#56b4e9", inactiveGlyph: "#2f6b8c", quadrant: "#56b4e9aa", orb: "#0072b2" },
+            { activeGlyph: "#f0e442", inactiveGlyph: "#8c8527", quadrant: "#f0e442aa", orb: "#f0e442" },
+        ],
+    },
+    tritanopia: {
+        name: "Blue-yellow safe",
+        elements: [
+            { activeGlyph: "#e03c31", inactiveGlyph: "#7d2a24", quadrant: "#e03c31aa", orb: "#e03c31" },
+            { activeGlyph: "#2b2b2b", inactiveGlyph: "#1a1a1a", quadrant: "#000000aa", orb: "#000000" },
+            { activeGlyph: "#f2f2f2", inactiveGlyph: "#9a9a9a", quadrant: "#f2f2f2aa", orb: "#ffffff" },
+            { activeGlyph: "#009e73", inactiveGlyph: "#0f5c46", quadrant: "#009e73aa", orb: "#009e73" },
+        ],
+    },
+    contrast: {
+        name: "High contrast",
+        elements: [
+            { activeGlyph: "#ff3b30", inactiveGlyph: "#8a231d", quadrant: "#ff3b30cc", orb: "#ff3b30" },
+            { activeGlyph: "#000000", inactiveGlyph: "#000000", quadrant: "#000000cc", orb: "#000000" },
+            { activeGlyph: "#ffffff", inactiveGlyph: "#b0b0b0", quadrant: "#ffffffcc", orb: "#ffffff" },
+            { activeGlyph: "#ffd60a", inactiveGlyph: "#8f7a10", quadrant: "#ffd60acc", orb: "#ffd60a" },
+        ],
+    },
+};
+
+/** The symbol drawn on each element's glyphs and orbs when symbols are shown, indexed by ElementType. */
+const ELEMENT_SYMBOLS = [ "▲", "●", "✱", "ϟ" ];
+
+const SYMBOL_FILL   = "#fefefe";
+const SYMBOL_STROKE = "#000000";
+const PATTERN_STROKE = "#00000066";
+
+/** The side length of the tile used to pattern each quadrant, in CSS pixels. */
+const PATTERN_SIZE = 10;
+
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+
+/** Whether symbols are drawn on the glyphs and orbs, and patterns on the quadrants. */
+let SHOW_SYMBOLS = false;
+
+/** The pattern for each element's quadrants, created when first needed. Indexed by ElementType. */
+let QUADRANT_PATTERNS: (CanvasPattern | null)[] = [];
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/// ------------------------------------------------------------------------------------------------
+/// Themes
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Builds the default palette from the colours the arena starts with.
+ */
+function defaultTheme(): Theme {
+    return {
+        name: "Default",
+        elements: [
+            { activeGlyph: ACTIVE_FIRE_GLYPH_FILL, inactiveGlyph: INACTIVE_FIRE_GLYPH_FILL, quadrant: FIRE_QUADRANT_FILL, orb: FIRE_ORB_FILL },
+            { activeGlyph: ACTIVE_SHADOW_GLYPH_FILL, inactiveGlyph: INACTIVE_SHADOW_GLYPH_FILL, quadrant: SHADOW_QUADRANT_FILL, orb: SHADOW_ORB_FILL },
+            { activeGlyph: ACTIVE_ICE_GLYPH_FILL, inactiveGlyph: INACTIVE_ICE_GLYPH_FILL, quadrant: ICE_QUADRANT_FILL, orb: ICE_ORB_FILL },
+            { activeGlyph: ACTIVE_LIGHTNING_GLYPH_FILL, inactiveGlyph: INACTIVE_LIGHTNING_GLYPH_FILL, quadrant: LIGHTNING_QUADRANT_FILL, orb: LIGHTNING_ORB_FILL },
+        ],
+    };
+}
+
+/**
+ * Fills the theme selector and applies the saved theme and symbol preference.
+ */
+function initTheme() {
+    let themeInput = document.getElementById("theme") as HTMLSelectElement;
+    let options = [`<option value="default">Default</option>`];
+    for (const id in THEMES) {
+        options.push(`<option value="${id}">${THEMES[id].name}</option>`);
+    }
+    themeInput.innerHTML = options.join("");
+
+    let saved = { theme: "default", symbols: false };
+    try {
+        saved = { ...saved, ...JSON.parse(localStorage.getItem(THEME_STORAGE_KEY) || "{}") };
+    } catch (e) {
+        console.warn("Could not read the theme.", e);
+    }
+
+    themeInput.value = saved.theme in THEMES ? saved.theme : "default";
+    (document.getElementById("symbols") as HTMLInputElement).checked = saved.symbols;
+    applyTheme();
+}
+
+/**
+ * Callback for the theme controls. Recolours the glyphs, quadrants and orbs, and saves the choice.
+ */
+function applyTheme() {
+    let id = (document.getElementById("theme") as HTMLSelectElement).value;
+    let theme = THEMES[id] || defaultTheme();
+    SHOW_SYMBOLS = (document.getElementById("symbols") as HTMLInputElement).checked;
+
+    theme.elements.forEach((colours, e) => {
+        GLYPHS[e].activeFill = colours.activeGlyph;
+        GLYPHS[e].inactiveFill = colours.inactiveGlyph;
+        QUADRANTS[e].quadrantFill = colours.quadrant;
+        QUADRANTS[e].orbFill = colours.orb;
+    });
+
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify({ theme: id, symbols: SHOW_SYMBOLS }));
+    } catch (e) {
+        console.warn("Could not save the theme.", e);
+    }
+
+    redraw();
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Symbols
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Draws an element's symbol, outlined so that it shows up on any colour.
+ *
+ * @param element             The element whose symbol to draw.
+ * @param center              The center of the symbol in tiles.
+ * @param size                The height of the symbol in tiles.
+ * @param c                   The context to draw on.
+ */
+function drawSymbol(element: ElementType, center: Point, size: number, c: CanvasRenderingContext2D = ctx) {
+    c.font = `bold ${Math.round(size * TILE_SIZE)}px Arial, Helvetica, sans-serif`;
+    c.textAlign = "center";
+    c.textBaseline = "middle";
+    c.lineWidth = 2;
+    c.strokeStyle = SYMBOL_STROKE;
+    c.strokeText(ELEMENT_SYMBOLS[element], toCoord(center.x), toCoord(center.y));
+    c.fillStyle = SYMBOL_FILL;
+    c.fillText(ELEMENT_SYMBOLS[element], toCoord(center.x), toCoord(center.y));
+    c.lineWidth = 1;
+}
+
+/**
+ * Returns the pattern laid over an element's quadrants, so that they can be told apart without colour:
+ * diagonal lines for Fire, dots for Shadow, a grid for Ice and horizontal lines for Lightning.
+ *
+ * @param element             The element of the quadrant.
+ * @param c                   The context the pattern will be used on.
+ */
+function quadrantPattern(element: ElementType, c: CanvasRenderingContext2D): CanvasPattern | null {
+    if (QUADRANT_PATTERNS[element] !== undefined) {
+        return QUADRANT_PATTERNS[element];
+    }
+
+    let tile = document.createElement("canvas");
+    tile.width = PATTERN_SIZE;
+    tile.height = PATTERN_SIZE;
+    let p = tile.getContext("2d")!;
+    p.strokeStyle = PATTERN_STROKE;
+    p.fillStyle = PATTERN_STROKE;
+    p.lineWidth = 2;
+
+    let s = PATTERN_SIZE;
+    p.beginPath();
+    switch (element) {
+        case ElementType.Fire:
+            p.moveTo(0, s);
+            p.lineTo(s, 0);
+            break;
+        case ElementType.Shadow:
+            p.arc(s / 2, s / 2, 2, 0, 2 * Math.PI);
+            p.fill();
+            break;
+        case ElementType.Ice:
+            p.moveTo(s / 2, 0);
+            p.lineTo(s / 2, s);
+            p.moveTo(0, s / 2);
+            p.lineTo(s, s / 2);
+            break;
+        case ElementType.Lightning:
+            p.moveTo(0, s / 2);
+            p.lineTo(s, s / 2);
+            break;
+    }
+    p.stroke();
+
+    QUADRANT_PATTERNS[element] = c.createPattern(tile, "repeat");
+    return QUADRANT_PATTERNS[element];
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Announcements
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Reads a message out to screen readers through the aria-live region.
+ *
+ * @param message             The message to read out.
+ */
+function announce(message: string) {
+    let region = document.getElementById("announcer");
+    if (!region) {
+        return;
+    }
+
+    // Clear the region first, so that a message repeated from the last tick is still read out.
+    region.textContent = "";
+    setTimeout(() => region!.textContent = message, 50);
+}
+
+/**
+ * Announces what happened on a tick: a glyph lighting up, or the result of a blast.
+ *
+ * @param result              The outcome of the tick.
+ */
+function announceTick(result: StepResult) {
+    let messages: string[] = [];
+    let glyph = result.events.find(isGlyphEvent);
+    if (glyph !== undefined) {
+        messages.push(`${ELEMENT_NAMES[glyphElement(glyph)]} glyph`);
+    }
+    if (result.blast) {
+        let outcome = result.blast.passed ? "passed" : "failed";
+        messages.push(`Blast ${result.blast.position + 1}, ${ELEMENT_NAMES[result.blast.element]} safe, ${outcome}`);
+    }
+    if (result.tankedOrb) {
+        messages.push("Orb tanked");
+    }
+    if (result.died) {
+        messages.push("You died");
+    }
+
+    if (messages.length > 0) {
+        announce(messages.join(". "));
+    }
+}
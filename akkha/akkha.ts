@@ -3,54 +3,12 @@
 /// ================================================================================================
 
 /**
- * Represents a coordinate on the 2d game arena, where each unit is a tile from the origin.
- * The origin is the top-left corner of the arena.
- * As x increases, the position is further right. As y increases, the position is further down.
+ * The square area of a sprite sheet showing one sprite, in pixels.
  */
-class Point {
-    /** The x-coordinate of the point. */
+interface SpriteFrame {
     x: number;
-    /** The y-coordinate of the point. */
     y: number;
-
-    /** Constructs a Point from x and y coordinates. */
-    constructor(x: number, y: number) {
-        this.x = x;
-        this.y = y;
-    }
-
-    /** Gets the screen coordinates for the x-position. */
-    get xCoord() {
-        return this.toCoord(this.x);
-    }
-
-    /** Gets the screen coordinates for the x-position. */
-    get yCoord() {
-        return this.toCoord(this.y);
-    }
-
-    /** Indicates whether two points share the same position. */
-    equals(other: Point) {
-        return (this.x == other.x) && (this.y == other.y);
-    }
-
-    /** Converts tile position to screen coordinates, mostly for rendering purposes. */
-    toCoord(len: number) {
-        return TILE_SIZE * len;
-    }
-
-    /** Converts to string for use in Map as key. */
-    toKey() {
-        return `Point(${this.x},${this.y})`;
-    }
-
-    /** Returns a Point from its key string representation. */
-    static fromKey(keyString: string): Point {
-        let i = keyString.indexOf(",");
-        let x = Number(keyString.slice(6, i));
-        let y = Number(keyString.slice(i+1, -1));
-        return new Point(x, y);
-    }
+    size: number;
 }
 
 /**
@@ -59,6 +17,8 @@ class Point {
 class Glyph {
     /** The position of the glyph. */
     pos: Point;
+    /** Where the glyph appears in the glyph sprite sheet. */
+    frame: SpriteFrame;
     /** The hex colour code to use when filling in the glyph in an active state. */
     activeFill: string;
     /** The hex colour code to use when filling in the glyph in an inactive state. */
@@ -66,8 +26,9 @@ class Glyph {
     /** Indicates whether the glyph is active or not. */
     isActive: boolean;
 
-    constructor(pos: Point, activeFill: string, inactiveFill: string) {
+    constructor(pos: Point, frame: SpriteFrame, activeFill: string, inactiveFill: string) {
         this.pos = pos;
+        this.frame = frame;
         this.activeFill = activeFill;
         this.inactiveFill = inactiveFill;
         this.isActive = false;
@@ -78,12 +39,8 @@ class Glyph {
  * Represents a quadrant of the arena.
  */
 class Quadrant {
-    /** The image data associated with this quadrant. */
-    image: ImageData | null;
     /** The top-leftmost point of the quadrant in tiles. */
     origin: Point;
-    /** A vertex to help fill the quadrant. */
-    vertex: Point;
     /** The ElementType of the quadrant. */
     element: ElementType;
     /** The starting angle from the x-axis in radians. */
@@ -99,15 +56,12 @@ class Quadrant {
 
     constructor(
         origin: Point,
-        vertex: Point,
         element: ElementType,
         start: number,
         end: number,
         quadrantFill: string,
         orbFill: string) {
-        this.image = null;
         this.origin = origin;
-        this.vertex = vertex;
         this.element = element;
         this.start = start;
         this.end = end;
@@ -115,108 +69,170 @@ class Quadrant {
         this.orbFill = orbFill;
         this.isActive = false;
     }
+}
+
+/**
+ * An offscreen canvas holding one layer of the arena. The layers are composited onto the visible canvas in order,
+ * and each one is only redrawn when the state it shows changes.
+ */
+class Layer {
+    canvas: HTMLCanvasElement;
+    ctx: CanvasRenderingContext2D;
+    /** Describes the state last drawn on the layer, or null if it needs to be redrawn. */
+    key: string | null;
+
+    constructor() {
+        this.canvas = document.createElement("canvas");
+        this.ctx = this.canvas.getContext("2d")!;
+        this.key = null;
+    }
 
     /**
-     * Determines whether a Point is within the bounds of a given quadrant.
+     * Resizes the layer and clears it, so that it is redrawn on the next render.
      *
-     * @param p                   The Point to check.
-     * @returns true if the player is in the quadrant's bounds, otherwise false.
+     * @param width               The width of the layer in CSS pixels.
+     * @param height              The height of the layer in CSS pixels.
+     * @param ratio               The number of device pixels per CSS pixel.
      */
-    contains(p: Point) {
-        let x1 = this.origin.x;
-        let x2 = this.origin.x + ARENA_OUTER_RADIUS - 1;
-        let y1 = this.origin.y;
-        let y2 = this.origin.y + ARENA_OUTER_RADIUS - 1;
+    resize(width: number, height: number, ratio: number) {
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        // Resizing resets the transform, which lets the draw helpers work in CSS pixels.
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.key = null;
+    }
+}
+
+/**
+ * Calls a function once per game tick. Each tick is scheduled against performance.now() rather than
+ * the previous tick, so timer delays don't add up over a run.
+ */
+class TickScheduler {
+    /** The function to call on each tick. */
+    callback: () => void;
+    /** How many times faster than the game the ticks run. */
+    speed: number;
+    /** Whether ticks are being scheduled. */
+    isRunning: boolean;
+    /** When the next tick is due, from performance.now(). */
+    nextTime: number;
+    timer: number;
+
+    constructor(callback: () => void) {
+        this.callback = callback;
+        this.speed = 1;
+        this.isRunning = false;
+        this.nextTime = 0;
+        this.timer = 0;
+    }
 
-        return (x1 <= p.x && p.x <= x2) && (y1 <= p.y && p.y <= y2);
+    /** The time between ticks in milliseconds at the current speed. */
+    get interval(): number {
+        return TICK_DURATION / this.speed;
     }
 
     /**
-     * Returns the quadrant that contains the given Point.
-     *
-     * @param p               The Point to check.
-     * @returns the quadrant containing the Point.
+     * Starts calling the callback, the first time one tick from now. Does nothing if already running.
      */
-    static getQuadrant(p: Point): Quadrant {
-        if (FIRE_QUADRANT.contains(p)) {
-            return FIRE_QUADRANT;
+    start() {
+        if (this.isRunning) {
+            return;
         }
 
-        if (SHADOW_QUADRANT.contains(p)) {
-            return SHADOW_QUADRANT;
-        }
+        this.isRunning = true;
+        this.nextTime = performance.now() + this.interval;
+        this.schedule();
+    }
+
+    /**
+     * Stops calling the callback.
+     */
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = 0;
+    }
 
-        if (ICE_QUADRANT.contains(p)) {
-            return ICE_QUADRANT;
+    /**
+     * Changes the speed, taking effect from the next tick.
+     *
+     * @param speed               How many times faster than the game the ticks should run.
+     */
+    setSpeed(speed: number) {
+        if (this.isRunning) {
+            this.nextTime += TICK_DURATION / speed - this.interval;
+        }
+        this.speed = speed;
+        if (this.isRunning) {
+            clearTimeout(this.timer);
+            this.schedule();
         }
+    }
 
-        return LIGHTNING_QUADRANT;
+    schedule() {
+        this.timer = setTimeout(() => this.fire(), Math.max(this.nextTime - performance.now(), 0));
     }
-}
 
-/**
- * Represents a magical orb as part of Akkha's special attack, Trailing Orbs.
- */
-class MagicalOrb {
-    /** The position of the magical orb. */
-    pos: Point;
-    /** The hex colour code to use when filling in the magical orb. */
-    fill: string;
-    /** The game tick on which the magical orb was created. Orbs should deactivate after 6 ticks. */
-    spawnTick: number;
+    fire() {
+        // If the page stalled for more than a tick, carry on from now instead of rushing through the missed ticks.
+        let now = performance.now();
+        if (now - this.nextTime >= this.interval) {
+            this.nextTime = now + this.interval;
+        } else {
+            this.nextTime += this.interval;
+        }
 
-    constructor(pos: Point, fill: string) {
-        this.pos = pos;
-        this.fill = fill;
-        this.spawnTick = TICK_COUNT;
+        this.callback();
+        if (this.isRunning) {
+            this.schedule();
+        }
     }
 }
 
 /**
- * Enumerates the different types of events that happen during the memory blast.
- */
-enum EventType {
-    /** No event. */
-    Empty,
-    /** Reset arena state to default. */
-    Reset,
-    /** Ends the game. */
-    End,
-    /** Glyphs active. */
-    FireGlyphActive,
-    ShadowGlyphActive,
-    IceGlyphActive,
-    LightningGlyphActive,
-    /** Quadrants active. */
-    /** Subsequent stages describe the wave passing through the quadrant. */
-    FireQuadrantStage1, FireQuadrantStage2,
-    ShadowQuadrantStage1, ShadowQuadrantStage2,
-    IceQuadrantStage1, IceQuadrantStage2,
-    LightningQuadrantStage1, LightningQuadrantStage2,
-}
-
-/**
- * Enumerates the elements in the memory blast.
+ * Represents a snapshot of a single game tick, recorded so that the run can be replayed afterwards.
  */
-enum ElementType { Fire, Shadow, Ice, Lightning }
+class TickRecord {
+    /** The game tick this record was taken on. */
+    tick: number;
+    /** The SEQUENCE event played out on this tick. */
+    event: EventType;
+    /** The engine state at the end of the tick, including the player, target, orbs and active flags. */
+    state: EngineSnapshot;
+    /** Whether the player passed the blast resolved on this tick, or null if no blast resolved. */
+    passedBlast: boolean | null;
+    /** Whether the player tanked a magical orb on this tick. */
+    tankedOrb: boolean;
+    /** The damage the player took on this tick. */
+    damage: number;
+    /** Whether the player died on this tick. */
+    died: boolean;
+
+    constructor(result: StepResult, state: EngineSnapshot) {
+        this.tick = result.tick;
+        this.event = result.event;
+        this.state = state;
+        this.passedBlast = result.passedBlast;
+        this.tankedOrb = result.tankedOrb;
+        this.damage = result.damage;
+        this.died = result.died;
+    }
+}
 
 /// ================================================================================================
 /// Constants
 /// ================================================================================================
 const TICK_DURATION = 600;
 
-const ARENA_INNER_RADIUS  = 5;
-const ARENA_MIDDLE_RADIUS = 7;
-const ARENA_OUTER_RADIUS  = 10;
+/** The speeds the game can run at, as multiples of the game's tick rate. */
+const TICK_SPEEDS = [0.5, 1, 1.25];
 
-const ORIGIN = new Point(ARENA_OUTER_RADIUS, ARENA_OUTER_RADIUS);
+/** The bounds on the size of a tile in CSS pixels, however large or small the window is. */
+const MIN_TILE_SIZE = 12;
+const MAX_TILE_SIZE = 64;
 
-const GLYPH_EVENTS = [
-    EventType.FireGlyphActive,
-    EventType.ShadowGlyphActive,
-    EventType.IceGlyphActive,
-    EventType.LightningGlyphActive
-];
+/** The fraction of the window height that the arena may take up. */
+const ARENA_MAX_WINDOW_HEIGHT = 0.9;
 
 const PLAYER_TILE_STROKE = "#00efef";
 const GRID_TILE_STROKE   = "#eeeeee";
@@ -248,25 +264,39 @@ const SHADOW_ORB_FILL    = "#1e191b";
 const ICE_ORB_FILL       = "#cbdfde";
 const LIGHTNING_ORB_FILL = "#e9d672";
 
-const FIRE_GLYPH      = new Glyph(new Point(8, 8), ACTIVE_FIRE_GLYPH_FILL, INACTIVE_FIRE_GLYPH_FILL);
-const SHADOW_GLYPH    = new Glyph(new Point(11, 8), ACTIVE_SHADOW_GLYPH_FILL, INACTIVE_SHADOW_GLYPH_FILL);
-const ICE_GLYPH       = new Glyph(new Point(8, 11), ACTIVE_ICE_GLYPH_FILL, INACTIVE_ICE_GLYPH_FILL);
-const LIGHTNING_GLYPH = new Glyph(new Point(11, 11), ACTIVE_LIGHTNING_GLYPH_FILL, INACTIVE_LIGHTNING_GLYPH_FILL);
+const HUD_TEXT_FILL       = "#fefefe";
+const HUD_BACKGROUND_FILL = "#000000aa";
+const HUD_PULSE_FILLS     = [ "#00efef", "#d35eed" ];
+
+const BLAST_WAVE_STROKE = "#ffffffcc";
+const ORB_TIMER_STROKE  = "#ffffffaa";
+
+/** The fraction of a tick over which a magical orb grows in after spawning. */
+const ORB_SPAWN_TICKS = 0.3;
+
+/** The opacity of the colour laid over a glyph's sprite while it is active. */
+const ACTIVE_GLYPH_ALPHA = 0.45;
+
+const GLYPH_SPRITES = new Image();
+GLYPH_SPRITES.src = "res/akkha-glyphs.png";
+
+const FIRE_GLYPH_FRAME      = { x: 158, y: 30, size: 44 };
+const SHADOW_GLYPH_FRAME    = { x: 170, y: 146, size: 44 };
+const ICE_GLYPH_FRAME       = { x: 36, y: 40, size: 36 };
+const LIGHTNING_GLYPH_FRAME = { x: 39, y: 158, size: 38 };
 
-const FIRE_QUADRANT      = new Quadrant(new Point(0, 0), new Point(10, 0), ElementType.Fire, 1.5 * Math.PI, Math.PI, FIRE_QUADRANT_FILL, FIRE_ORB_FILL);
-const SHADOW_QUADRANT    = new Quadrant(new Point(10, 0), new Point(20, 10), ElementType.Shadow, 2 * Math.PI, 1.5 * Math.PI, SHADOW_QUADRANT_FILL, SHADOW_ORB_FILL);
-const ICE_QUADRANT       = new Quadrant(new Point(0, 10), new Point(0, 10), ElementType.Ice, Math.PI, 0.5 *Math.PI, ICE_QUADRANT_FILL, ICE_ORB_FILL);
-const LIGHTNING_QUADRANT = new Quadrant(new Point(10, 10), new Point(10, 20), ElementType.Lightning, 0.5 * Math.PI, 0, LIGHTNING_QUADRANT_FILL, LIGHTNING_ORB_FILL);
+const FIRE_GLYPH      = new Glyph(GLYPH_POSITIONS[ElementType.Fire], FIRE_GLYPH_FRAME, ACTIVE_FIRE_GLYPH_FILL, INACTIVE_FIRE_GLYPH_FILL);
+const SHADOW_GLYPH    = new Glyph(GLYPH_POSITIONS[ElementType.Shadow], SHADOW_GLYPH_FRAME, ACTIVE_SHADOW_GLYPH_FILL, INACTIVE_SHADOW_GLYPH_FILL);
+const ICE_GLYPH       = new Glyph(GLYPH_POSITIONS[ElementType.Ice], ICE_GLYPH_FRAME, ACTIVE_ICE_GLYPH_FILL, INACTIVE_ICE_GLYPH_FILL);
+const LIGHTNING_GLYPH = new Glyph(GLYPH_POSITIONS[ElementType.Lightning], LIGHTNING_GLYPH_FRAME, ACTIVE_LIGHTNING_GLYPH_FILL, INACTIVE_LIGHTNING_GLYPH_FILL);
+const GLYPHS = [ FIRE_GLYPH, SHADOW_GLYPH, ICE_GLYPH, LIGHTNING_GLYPH ];
+
+const FIRE_QUADRANT      = new Quadrant(new Point(0, 0), ElementType.Fire, 1.5 * Math.PI, Math.PI, FIRE_QUADRANT_FILL, FIRE_ORB_FILL);
+const SHADOW_QUADRANT    = new Quadrant(new Point(10, 0), ElementType.Shadow, 2 * Math.PI, 1.5 * Math.PI, SHADOW_QUADRANT_FILL, SHADOW_ORB_FILL);
+const ICE_QUADRANT       = new Quadrant(new Point(0, 10), ElementType.Ice, Math.PI, 0.5 * Math.PI, ICE_QUADRANT_FILL, ICE_ORB_FILL);
+const LIGHTNING_QUADRANT = new Quadrant(new Point(10, 10), ElementType.Lightning, 0.5 * Math.PI, 0, LIGHTNING_QUADRANT_FILL, LIGHTNING_ORB_FILL);
 const QUADRANTS = [ FIRE_QUADRANT, SHADOW_QUADRANT, ICE_QUADRANT, LIGHTNING_QUADRANT ];
 
-const BLAST_SFX_1 = new Audio("res/blast-sfx.ogg");
-const BLAST_SFX_2 = new Audio("res/blast-sfx.ogg");
-const BLAST_SFX_3 = new Audio("res/blast-sfx.ogg");
-const BLAST_SFX_4 = new Audio("res/blast-sfx.ogg");
-const GLYPH_SFX_1 = new Audio("res/glyph-sfx.ogg");
-const GLYPH_SFX_2 = new Audio("res/glyph-sfx.ogg");
-const GLYPH_SFX_3 = new Audio("res/glyph-sfx.ogg");
-const GLYPH_SFX_4 = new Audio("res/glyph-sfx.ogg");
 
 /// ================================================================================================
 /// Globals
@@ -275,36 +305,55 @@ const GLYPH_SFX_4 = new Audio("res/glyph-sfx.ogg");
 /// ------------------------------------------------------------------------------------------------
 /// Game State
 /// ------------------------------------------------------------------------------------------------
-let DEFAULT_ARENA_STATE_FULL: ImageData;
+/** The size of a tile in CSS pixels. Recomputed by resize() to fit the window. */
 let TILE_SIZE = 30;
+/** The number of device pixels per CSS pixel, so the arena stays sharp on high density screens. */
+let PIXEL_RATIO = 1;
 
-let TICK_TIMER: number;
-let TICK_COUNT = -1;
-
-let PATTERN: EventType[]  = [];
-let SEQUENCE: EventType[] = [];
+let ENGINE = new AkkhaEngine();
 
-let CURR_NUM_GLYPHS_PASSED = 0;
-let CURR_NUM_ORBS_TANKED   = 0;
-let CURR_NUM_ORBS_SPAWNED  = 0;
+let SCHEDULER = new TickScheduler(tick);
 
 let TOTAL_NUM_ACTIVE_GLYPHS = 0;
 let TOTAL_NUM_GLYPHS_PASSED = 0;
 let TOTAL_NUM_ORBS_TANKED   = 0;
 let TOTAL_NUM_ORBS_SPAWNED  = 0;
+let TOTAL_DAMAGE_TAKEN      = 0;
+
+/** The tile clicked since the last tick, passed to the engine on the next tick. */
+let CLICK_TARGET: Point | null = null;
 
-let PLAYER = new Point(10, 10);
-let TARGET = new Point(10, 10);
+/** Whether the finished run has already been saved to the training history. */
+let IS_RUN_SAVED = false;
+
+/** Which parts of the heads-up display are shown. */
+let HUD_OPTIONS = {
+    tick: true,
+    phase: true,
+    countdown: true,
+    pulse: true,
+};
+
+/// ------------------------------------------------------------------------------------------------
+/// Animation State
+/// ------------------------------------------------------------------------------------------------
 
-let MAGICAL_ORBS: Map<string, MagicalOrb> = new Map();
-let IS_MAGICAL_ORB_DELETED = false;
+/** The state being rendered. */
+let ANIMATION_TO: EngineSnapshot;
+/** The state on the previous tick, which ANIMATION_TO is animated from, or null to render it without animating. */
+let ANIMATION_FROM: EngineSnapshot | null = null;
+/** When the animation started, from performance.now(). */
+let ANIMATION_START = 0;
+let ANIMATION_FRAME = 0;
 
 /// ------------------------------------------------------------------------------------------------
-/// User Configuration
+/// Replay State
 /// ------------------------------------------------------------------------------------------------
-let FEELING_SPECIAL = false;
-let DOUBLE_TROUBLE  = false;
-let NUM_ACTIVE_GLYPHS = 4;
+let RECORDING: TickRecord[] = [];
+
+let IS_REPLAYING = false;
+let REPLAY_TIMER: number;
+let REPLAY_TICK = 0;
 
 /// ------------------------------------------------------------------------------------------------
 /// Document
@@ -314,13 +363,48 @@ let HALF_WIDTH  = TILE_SIZE * ARENA_OUTER_RADIUS;
 
 let canvas = document.getElementById("akkha-arena") as HTMLCanvasElement;
 let ctx = canvas.getContext("2d")!;
-canvas.height = TILE_SIZE * 2 * ARENA_OUTER_RADIUS;
-canvas.width = TILE_SIZE * 2 * ARENA_OUTER_RADIUS;
+
+// The layers of the arena, from bottom to top.
+const ARENA_LAYER    = new Layer();
+const QUADRANT_LAYER = new Layer();
+const GLYPH_LAYER    = new Layer();
+const ORB_LAYER      = new Layer();
+const REVIEW_LAYER   = new Layer();
+const ROUTE_LAYER    = new Layer();
+const PLAYER_LAYER   = new Layer();
+const HUD_LAYER      = new Layer();
+const LAYERS = [ ARENA_LAYER, QUADRANT_LAYER, GLYPH_LAYER, ORB_LAYER, REVIEW_LAYER, ROUTE_LAYER, PLAYER_LAYER, HUD_LAYER ];
+
+resize();
 
 let activeGlyphsInput = document.getElementById("ag") as HTMLInputElement;
 activeGlyphsInput.value = "4";
 
+let blastDamageInput = document.getElementById("bd") as HTMLInputElement;
+blastDamageInput.value = String(DEFAULT_SETTINGS.blastDamage);
+
+let orbDamageInput = document.getElementById("od") as HTMLInputElement;
+orbDamageInput.value = String(DEFAULT_SETTINGS.orbDamage);
+
+let weightInput = document.getElementById("wt") as HTMLInputElement;
+weightInput.value = String(DEFAULT_SETTINGS.weight);
+
+let agilityInput = document.getElementById("agl") as HTMLInputElement;
+agilityInput.value = String(DEFAULT_SETTINGS.agility);
+
+let runEnergyInput = document.getElementById("re") as HTMLInputElement;
+runEnergyInput.value = String(DEFAULT_SETTINGS.startRunEnergy);
+
+renderPresets();
+renderScenarios();
+initTeammateInputs();
+writeAudioSettings();
+initTheme();
+initControlBar();
+initAudio();
 initialRender();
+GLYPH_SPRITES.addEventListener('load', redraw);
+loadLink();
 
 /// ================================================================================================
 /// Functions
@@ -331,45 +415,329 @@ initialRender();
 /// ------------------------------------------------------------------------------------------------
 
 /**
- * Callback for mousedown events.
+ * Callback for pointerdown events, so that mouse clicks, taps and pen presses all move the player.
+ * Like the game, a press registers straight away rather than on release.
  */
-canvas.addEventListener('mousedown', function (event) {
-    TARGET = getTileClicked(event);
+canvas.addEventListener('pointerdown', function (event) {
+    // Stop touches from also firing emulated mouse events, or double-tap zooming.
+    // That also stops the canvas taking focus, so focus it here for the movement keys.
+    event.preventDefault();
+    canvas.focus();
+    if (IS_REPLAYING || !event.isPrimary || event.button > 0) {
+        return;
+    }
+
+    // While recalling the pattern, clicks choose glyphs instead of moving.
+    if (isRecalling()) {
+        let element = getGlyphAt(getTileClicked(event));
+        if (element !== null) {
+            answerRecall(element);
+            redraw();
+        }
+        return;
+    }
+
+    // While the pattern editor is open, clicking a glyph adds it to the pattern.
+    if (isEditing()) {
+        let element = getGlyphAt(getTileClicked(event));
+        if (element !== null) {
+            addEditorGlyph(element);
+            return;
+        }
+    }
+
+    CLICK_TARGET = getTileClicked(event);
 });
 
 /**
- * Determines the tile clicked based on the x,y-positions of the mouse event.
- * Sets TARGET to the coordinate determined.
+ * Callback for keydown events on the arena.
+ */
+canvas.addEventListener('keydown', onArenaKeyDown);
+
+/**
+ * Determines the tile clicked based on the x,y-positions of the pointer event.
+ * Measures against the canvas as displayed, so the mapping holds at any size or zoom level.
  *
- * @param event               The mousedown event.
+ * @param event               The pointerdown event.
  * @returns the Point representing the tile clicked, or the player's position if no tile was clicked.
  */
 function getTileClicked(event: MouseEvent): Point {
     if (!event) {
-        return JSON.parse(JSON.stringify(PLAYER));
+        return new Point(ENGINE.player.x, ENGINE.player.y);
     }
 
     let rect = canvas.getBoundingClientRect();
-    let xCoord = event.clientX - rect.left;
-    let yCoord = event.clientY - rect.top;
-    let xTile = Math.floor(xCoord / TILE_SIZE);
-    let yTile = Math.floor(yCoord / TILE_SIZE);
+    let xCoord = (event.clientX - rect.left) / rect.width;
+    let yCoord = (event.clientY - rect.top) / rect.height;
+    let xTile = clamp(Math.floor(xCoord * ARENA_SIZE), 0, ARENA_SIZE - 1);
+    let yTile = clamp(Math.floor(yCoord * ARENA_SIZE), 0, ARENA_SIZE - 1);
 
     return new Point(xTile, yTile);
 }
 
+/**
+ * Shows the on-screen control bar by default on touch screens, where the keyboard shortcuts aren't available.
+ */
+function initControlBar() {
+    let cbInput = document.getElementById("cb") as HTMLInputElement;
+    cbInput.checked = window.matchMedia("(pointer: coarse)").matches;
+    toggleControlBar();
+}
+
+/**
+ * Callback for the control bar checkbox.
+ */
+function toggleControlBar() {
+    let cbInput = document.getElementById("cb") as HTMLInputElement;
+    let bar = document.getElementById("control-bar");
+    if (bar) {
+        bar.hidden = !cbInput.checked;
+    }
+}
+
+/**
+ * Callback for resize events. Zooming the page also changes devicePixelRatio and fires this.
+ */
+window.addEventListener('resize', function () {
+    resize();
+    redraw();
+});
+
+/**
+ * Sizes the arena to fit the window, and the canvases to match the screen's pixel density.
+ */
+function resize() {
+    let wrapper = canvas.parentElement;
+    let width = (wrapper && wrapper.clientWidth) || window.innerWidth;
+    let available = Math.min(width, window.innerHeight * ARENA_MAX_WINDOW_HEIGHT);
+
+    TILE_SIZE = clamp(Math.floor(available / ARENA_SIZE), MIN_TILE_SIZE, MAX_TILE_SIZE);
+    PIXEL_RATIO = window.devicePixelRatio || 1;
+    HALF_WIDTH = TILE_SIZE * ARENA_OUTER_RADIUS;
+    HALF_HEIGHT = TILE_SIZE * ARENA_OUTER_RADIUS;
+
+    let size = TILE_SIZE * ARENA_SIZE;
+    canvas.style.width = `${size}px`;
+    canvas.style.height = `${size}px`;
+    canvas.width = Math.round(size * PIXEL_RATIO);
+    canvas.height = Math.round(size * PIXEL_RATIO);
+    LAYERS.forEach(l => l.resize(size, size, PIXEL_RATIO));
+}
+
+/**
+ * Callback for keydown events. Keys typed into the settings inputs are ignored.
+ */
+document.addEventListener('keydown', function (event) {
+    if (event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement || event.repeat) {
+        return;
+    }
+
+    let recallKey = RECALL_KEYS[event.key.toLowerCase()];
+    if (isRecalling() && recallKey !== undefined) {
+        answerRecall(recallKey);
+        redraw();
+        return;
+    }
+
+    if (event.key == "r" || event.key == "R") {
+        toggleRun();
+    } else if (event.key == "m" || event.key == "M") {
+        toggleMute();
+    } else if (event.key == " ") {
+        event.preventDefault();
+        togglePause();
+    } else if (event.key == ".") {
+        stepTick();
+    } else if (event.key == "-") {
+        cycleSpeed(-1);
+    } else if (event.key == "=" || event.key == "+") {
+        cycleSpeed(1);
+    } else if (event.key == "Enter" && !(event.target instanceof HTMLButtonElement)) {
+        start();
+    } else if (event.key == "Backspace") {
+        restart();
+    } else if (event.key == "n" || event.key == "N") {
+        newPattern();
+    }
+});
+
+/**
+ * Callback for change events on the settings controls. Editing a setting by hand leaves the chosen preset.
+ */
+document.addEventListener('change', function (event) {
+    let target = event.target as HTMLElement;
+    if (target.id != "preset" && target.closest("#options, #damage-options, #run-options, #teammate-options")) {
+        (document.getElementById("preset") as HTMLSelectElement).value = "";
+    }
+});
+
+/**
+ * Callback for visibilitychange events. Browsers throttle timers in background tabs, so the run pauses instead.
+ */
+document.addEventListener('visibilitychange', function () {
+    if (document.hidden && SCHEDULER.isRunning) {
+        SCHEDULER.stop();
+        setPauseButtonText();
+    }
+});
+
+/**
+ * Callback for hashchange events, so pasting a shared link into an open tab loads its pattern.
+ */
+window.addEventListener('hashchange', function () {
+    if (loadLink()) {
+        resetVars();
+    }
+});
+
+/**
+ * Loads the seed and settings encoded in the URL hash, then regenerates the pattern they describe.
+ * The hash takes the form #seed=<n>&dt=<0|1>&fs=<0|1>&ag=<4-6>, optionally followed by &qz=1 for a recall quiz
+ * (whose patterns can have up to MAX_RECALL_GLYPHS glyphs) and &sc=built-in:<n> for a built-in scenario.
+ *
+ * @returns true if a pattern was loaded from the hash, otherwise false.
+ */
+function loadLink(): boolean {
+    let params = new URLSearchParams(window.location.hash.slice(1));
+    let seed = params.get("seed");
+    if (seed === null || !/^\d+$/.test(seed)) {
+        return false;
+    }
+
+    // Adaptive and edited patterns can't be rolled from the seed, so their links carry the pattern itself.
+    let pattern = (params.get("p") || "").split("").map(c => GLYPH_EVENTS[Number(c)]);
+
+    let dtInput = document.getElementById("dt") as HTMLInputElement;
+    let fsInput = document.getElementById("fs") as HTMLInputElement;
+    let agInput = document.getElementById("ag") as HTMLInputElement;
+    let qzInput = document.getElementById("qz") as HTMLInputElement;
+    let scenarioInput = document.getElementById("scenario") as HTMLSelectElement;
+
+    dtInput.checked = params.get("dt") == "1";
+    fsInput.checked = params.get("fs") == "1";
+    qzInput.checked = params.get("qz") == "1";
+
+    // Recall quizzes add a glyph for each pattern in the streak, so their links can have more than 6.
+    let numActiveGlyphs = clamp(Number(params.get("ag")) || 4, 4, qzInput.checked ? MAX_RECALL_GLYPHS : 6);
+    agInput.value = String(Math.min(numActiveGlyphs, 6));
+
+    let scenarioId = params.get("sc") || "";
+    let builtIn = /^built-in:\d+$/.test(scenarioId) ? BUILT_IN_SCENARIOS[Number(scenarioId.slice("built-in:".length))] : undefined;
+    scenarioInput.value = builtIn ? scenarioId : "";
+
+    if (pattern.length > 0 && isValidPattern(pattern)) {
+        let scenario = selectedScenario();
+        let settings = scenario ? { ...readSettings(), ...scenario.settings } : readSettings();
+        ENGINE.loadPattern(settings, pattern, Number(seed) >>> 0, scenario);
+        if (!settings.recallQuiz) {
+            TOTAL_NUM_ACTIVE_GLYPHS += ENGINE.settings.numActiveGlyphs;
+        }
+        agInput.value = String(pattern.length);
+        saveLink(scenarioInput.value);
+    } else {
+        generate(Number(seed) >>> 0, numActiveGlyphs);
+    }
+    syncPathLevel();
+    return true;
+}
+
+/**
+ * Writes the seed and settings of the current pattern to the URL hash.
+ * Uses replaceState so that the hashchange listener doesn't regenerate the pattern.
+ *
+ * @param scenario            The value of the scenario selector the pattern was built with, or "" for none.
+ */
+function saveLink(scenario = "") {
+    let settings = ENGINE.settings;
+    let hash = `#seed=${ENGINE.seed}&dt=${settings.doubleTrouble ? 1 : 0}&fs=${settings.feelingSpecial ? 1 : 0}&ag=${settings.numActiveGlyphs}`;
+    if (settings.recallQuiz) {
+        hash += "&qz=1";
+    }
+    // A scenario loaded from a file only exists in the browser that loaded it, so only built-in ones are linked.
+    // Its pattern is still linked if it has a fixed one, as those are loaded with a seed of 0.
+    if (scenario.startsWith("built-in:")) {
+        hash += `&sc=${scenario}`;
+    }
+    // Edited patterns are loaded with a seed of 0.
+    if (settings.adaptive || ENGINE.seed == 0) {
+        hash += `&p=${ENGINE.pattern.map(glyphElement).join("")}`;
+    }
+    history.replaceState(null, "", hash);
+}
+
+/**
+ * Copies a link to the current pattern to the clipboard.
+ */
+function copyLink() {
+    if (ENGINE.pattern.length == 0) {
+        generate();
+    }
+
+    let link = window.location.href;
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).catch(() => prompt("Copy this link:", link));
+    } else {
+        prompt("Copy this link:", link);
+    }
+}
+
 /**
  * Prints the stats of the user's memory blast performance.
  */
 function printStats() {
     let gp = document.getElementById("numGlyphPassed");
     if (gp) {
-        gp.innerHTML = `Glyphs passed: ${CURR_NUM_GLYPHS_PASSED}/${NUM_ACTIVE_GLYPHS} current, ${TOTAL_NUM_GLYPHS_PASSED}/${TOTAL_NUM_ACTIVE_GLYPHS} total`;
+        gp.innerHTML = `Glyphs passed: ${ENGINE.glyphsPassed}/${ENGINE.settings.numActiveGlyphs} current, ${TOTAL_NUM_GLYPHS_PASSED}/${TOTAL_NUM_ACTIVE_GLYPHS} total`;
     }
 
     let ot = document.getElementById("numOrbsTanked");
     if (ot) {
-        ot.innerHTML = `Magical orbs avoided: ${CURR_NUM_ORBS_SPAWNED - CURR_NUM_ORBS_TANKED}/${CURR_NUM_ORBS_SPAWNED} current, ${TOTAL_NUM_ORBS_SPAWNED - TOTAL_NUM_ORBS_TANKED}/${TOTAL_NUM_ORBS_SPAWNED} total`;
+        ot.innerHTML = `Magical orbs avoided: ${ENGINE.orbsSpawned - ENGINE.orbsTanked}/${ENGINE.orbsSpawned} current, ${TOTAL_NUM_ORBS_SPAWNED - TOTAL_NUM_ORBS_TANKED}/${TOTAL_NUM_ORBS_SPAWNED} total`;
+    }
+
+    let dmg = document.getElementById("damageTaken");
+    if (dmg) {
+        let died = ENGINE.isDead ? " (died)" : "";
+        dmg.innerHTML = `Damage taken: ${ENGINE.damageTaken}${died} current, ${TOTAL_DAMAGE_TAKEN} total`;
+    }
+}
+
+/**
+ * Turns running on or off. Takes effect on the next tick.
+ */
+function toggleRun() {
+    ENGINE.setRunning(!ENGINE.isRunning);
+    updateRunOrb(ENGINE.snapshot());
+}
+
+/**
+ * Updates the run orb to match the given engine state.
+ *
+ * @param state               The engine state to show.
+ */
+function updateRunOrb(state: EngineSnapshot) {
+    let orb = document.getElementById("run-orb");
+    if (orb) {
+        orb.innerHTML = `${Math.floor(state.runEnergy / 100)}`;
+        orb.className = state.isRunning ? "running" : "";
+        orb.title = state.isRunning ? "Running (R to toggle)" : "Walking (R to toggle)";
+    }
+}
+
+/**
+ * Updates the hitpoints bar to match the given engine state.
+ *
+ * @param state               The engine state to show.
+ */
+function updateHitpointsBar(state: EngineSnapshot) {
+    let fill = document.getElementById("hp-fill");
+    if (fill) {
+        fill.style.width = `${100 * state.hitpoints / MAX_HITPOINTS}%`;
+    }
+
+    let text = document.getElementById("hp-text");
+    if (text) {
+        text.innerHTML = `${state.hitpoints}/${MAX_HITPOINTS}`;
     }
 }
 
@@ -408,8 +776,53 @@ function showSettings() {
         "Moving on top of a magical orb will result in damage taken.\n\n" +
         "Feeling Special: When enabled, increases the speed of the memory blast. " +
         "If Double Trouble is also enabled, an additional magical orb will spawn one tile ahead of your character.\n\n" +
+        "Preset: Fills in the settings for a raid setup. Save Preset stores the current settings under a name, " +
+        "and Delete Preset removes the selected saved preset. Only Double Trouble and Feeling Special are modelled " +
+        "as invocations: set the path level to match any path-level invocations, and Blast Damage / Orb Damage to " +
+        "match any damage invocations. Other invocations don't affect the memory blast, so they are left out.\n\n" +
+        "Scenario: Chooses how each tick of the memory blast plays out. From Settings uses the normal or " +
+        "Feeling Special timing as set below. Load Scenario reads a drill from a JSON file, which can set its own " +
+        "timing, tick-by-tick events (including a glyph and a blast on the same tick), pattern and settings.\n\n" +
+        "Path Level: Akkha's path level (0-6). Choosing a level sets Active Glyphs to match.\n\n" +
         "Active Glyphs: Choose how many glyphs will activate in the sequence (4-6). " +
         "In game, this scales based on Akkha's path level. At level 2, it is set to 5. At level 4, it is set to 6.\n\n" +
+        "Master Volume / SFX Volume / Mute: Control the sound. Press M to toggle mute.\n\n" +
+        "Control Bar: Shows large Start, Pause, Step, Restart, New Pattern and Run buttons along the bottom of the screen, " +
+        "for playing on a phone or tablet. Shown by default on touch screens.\n\n" +
+        "Heads-up Display: Choose what is drawn over the arena: the tick counter, the phase of the memory blast, " +
+        "the number of ticks until the next blast, and a pulse that flashes on every tick.\n\n" +
+        "Element Pitch: When enabled, each element's glyph cue plays at its own pitch, " +
+        "so the sequence can be followed by ear.\n\n" +
+        "Edit Pattern: Build a pattern to rehearse by clicking the glyphs in order, on the arena or in the editor. " +
+        "Glyphs that break the rules (repeating the last glyph, or jumping to the opposite corner) are rejected with a reason. " +
+        "Patterns can be imported and exported as text like F-S-L-I-F. Play uses the current settings, " +
+        "including Feeling Special's timing.\n\n" +
+        "Theme: Recolours the glyphs, quadrants and orbs with a palette that is easier to tell apart " +
+        "with red-green or blue-yellow colour blindness, or with higher contrast.\n\n" +
+        "Symbols: When enabled, each element's glyphs and orbs are marked with a symbol (Fire \u25B2, Shadow \u25CF, " +
+        "Ice \u2731, Lightning \u03DF) and its quadrant with a pattern, so that they can be told apart without colour. " +
+        "Glyph activations and blast results are also read out to screen readers.\n\n" +
+        "Recall Quiz: When enabled, the glyphs light up as usual, but there are no blasts. " +
+        "Instead, enter the pattern by clicking the glyphs or pressing 1-4 (or F, S, I, L) in order. " +
+        "Each pattern recalled without a mistake adds a glyph to the next one, even past 6.\n\n" +
+        "Adaptive: When enabled, patterns favour the glyph transitions and positions you have recently failed. " +
+        "Active Glyphs goes up by one after 5 runs in a row at 90% accuracy or better.\n\n" +
+        "Blast Damage / Orb Damage: The damage taken when standing in an active quadrant or stepping on a magical orb.\n\n" +
+        "Die Ends Run: When enabled, the memory blast stops as soon as your hitpoints reach 0.\n\n" +
+        "Solid Glyphs: When enabled, the glyph tiles block movement and you must path around them.\n\n" +
+        "Weight / Agility / Run Energy: Control how fast run energy drains and regenerates, and how much you start with. " +
+        "Click the run orb or press R to toggle between running (2 tiles per tick) and walking (1 tile per tick).\n\n" +
+        "Teammates: Adds up to 7 bot teammates, outlined in yellow. They head for each blast's safe quadrant once its glyph " +
+        "lights up and, with Double Trouble, spawn magical orbs that hurt you just like your own. Each bot's skill (0-100) " +
+        "is the chance they pick the right spot; otherwise they go to the wrong quadrant or stack on top of you.\n\n" +
+        "Review: Once a run is over, and while replaying it, shows the path you took with the tick you stood on each tile, " +
+        "where you stood as each blast resolved (green if passed, red if failed), a purple cross wherever you tanked an orb, " +
+        "and a heatmap in orange of where you stood over your last few runs.\n\n" +
+        "Ideal Route: Finds the route that passes every blast without touching a magical orb with the fewest clicks, " +
+        "and shows it in green with the tick of each click, next to the path you took in blue. It considers every route " +
+        "that clicks at most once before each blast, on a tile of its safe quadrant near the centre, in the last few " +
+        "ticks before it once its glyph has lit up. Ghost plays the route " +
+        "alongside you as a faded green tile.\n\n" +
         "Note: If you change any of these settings, you must click New Pattern for them to take effect."
     );
 }
@@ -419,9 +832,20 @@ function showSettings() {
  */
 function showHelp() {
     alert(
-        "Start: Starts the memory blast.\n\n" +
-        "Restart: Restarts the same memory blast from the beginning.\n\n" +
-        "New Pattern: Starts the memory blast with a new pattern.\n\n"
+        "Start (Enter): Starts the memory blast.\n\n" +
+        "Pause / Resume (Space): Pauses the memory blast, or carries on from where it was paused.\n\n" +
+        "Step (.): Pauses the memory blast and plays out a single tick.\n\n" +
+        "Speed (- / +): Runs the memory blast at half speed for learning, or faster than the game for overtraining.\n\n" +
+        "Restart (Backspace): Restarts the same memory blast from the beginning.\n\n" +
+        "New Pattern (N): Starts the memory blast with a new pattern.\n\n" +
+        "Movement: Besides clicking, the arrow keys, WASD or the numpad move to a neighbouring tile " +
+        "(Q, E, Z and C move diagonally), and 2 tiles while holding Shift. 1-4 move to the Fire, Shadow, Ice " +
+        "and Lightning quadrants. Click the arena first so it has focus.\n\n" +
+        "Gamepad: The left stick or d-pad moves, 2 tiles while holding the right bumper. " +
+        "A or Start pauses, B toggles running, X restarts and Y starts a new pattern.\n\n" +
+        "Copy Link: Copies a link that loads the current pattern and settings, so others can practice the same one.\n\n" +
+        "Replay: Reviews the most recent run tick by tick. Use the slider or the arrow buttons to move between ticks.\n\n" +
+        "History: Shows every completed run saved in this browser, charted over time.\n\n"
     );
 }
 
@@ -433,106 +857,292 @@ function showHelp() {
  * Draws the initial state of the arena.
  */
 function initialRender() {
-    drawArena();
-    // highlightGrid();
+    renderState(ENGINE.snapshot());
+}
 
-    drawGlyph(FIRE_GLYPH);
-    drawGlyph(SHADOW_GLYPH);
-    drawGlyph(ICE_GLYPH);
-    drawGlyph(LIGHTNING_GLYPH);
+/**
+ * Renders a game tick, animating the changes since the previous tick over the course of the tick.
+ *
+ * @param state               The engine state to render.
+ * @param previous            The engine state on the previous tick. If omitted, the state is drawn without animating.
+ */
+function renderState(state: EngineSnapshot, previous: EngineSnapshot | null = null) {
+    ANIMATION_TO = state;
+    ANIMATION_FROM = previous;
+    ANIMATION_START = performance.now();
+    cancelAnimationFrame(ANIMATION_FRAME);
+    animate();
+
+    updateHitpointsBar(state);
+    updateRunOrb(state);
+}
 
-    DEFAULT_ARENA_STATE_FULL = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    FIRE_QUADRANT.image = ctx.getImageData(0, 0, HALF_WIDTH, HALF_HEIGHT);
-    SHADOW_QUADRANT.image = ctx.getImageData(HALF_WIDTH, 0, HALF_WIDTH, HALF_HEIGHT);
-    ICE_QUADRANT.image = ctx.getImageData(0, HALF_HEIGHT, HALF_WIDTH, HALF_HEIGHT);
-    LIGHTNING_QUADRANT.image = ctx.getImageData(HALF_WIDTH, HALF_HEIGHT, HALF_WIDTH, HALF_HEIGHT);
+/**
+ * Redraws the current frame from scratch, e.g. after the canvas was resized or the sprites loaded.
+ */
+function redraw() {
+    if (!ANIMATION_TO) {
+        return;
+    }
+
+    LAYERS.forEach(l => l.key = null);
+    cancelAnimationFrame(ANIMATION_FRAME);
+    animate();
+}
+
+/**
+ * Draws one frame of the current animation, and requests the next frame until the tick is over.
+ */
+function animate() {
+    if (!ANIMATION_FROM) {
+        renderTick(ANIMATION_TO);
+        ANIMATION_FRAME = 0;
+        return;
+    }
 
-    highlightTile(PLAYER, PLAYER_TILE_STROKE);
+    let progress = clamp((performance.now() - ANIMATION_START) / SCHEDULER.interval, 0, 1);
+    renderTick(ANIMATION_TO, ANIMATION_FROM, progress);
+    ANIMATION_FRAME = progress < 1 ? requestAnimationFrame(animate) : 0;
 }
 
 /**
- * Renders the current game tick.
- */
-function renderTick() {
-    drawQuadrant(FIRE_QUADRANT);
-    drawQuadrant(SHADOW_QUADRANT);
-    drawQuadrant(ICE_QUADRANT);
-    drawQuadrant(LIGHTNING_QUADRANT);
-
-    drawGlyph(FIRE_GLYPH);
-    drawGlyph(SHADOW_GLYPH);
-    drawGlyph(ICE_GLYPH);
-    drawGlyph(LIGHTNING_GLYPH);
-
-    // TODO: Deletion of magical orbs doesn't render properly.
-    // Need to redraw the arena state...
-    for (const [pos, orb] of MAGICAL_ORBS) {
-        if (orb) {
-            // Have to adjust by half a tile to center the orb properly.
-            let newPos = Point.fromKey(pos);
-            newPos.x += 0.5;
-            newPos.y += 0.5;
-            drawCircle(newPos, 0.45, orb.fill);
+ * Renders a game tick. Redraws the layers whose state changed, then composites every layer onto the canvas.
+ *
+ * @param state               The engine state to render.
+ * @param previous            The engine state on the previous tick, or null to draw the state without animating.
+ * @param progress            How far through the tick to draw, from 0 to 1.
+ */
+function renderTick(state: EngineSnapshot, previous: EngineSnapshot | null = null, progress = 1) {
+    GLYPHS.forEach((g, e) => g.isActive = state.glyphsActive[e]);
+    QUADRANTS.forEach((q, e) => q.isActive = state.quadrantsActive[e]);
+
+    // The arena only changes once the glyph sprites finish loading.
+    renderLayer(ARENA_LAYER, String(GLYPH_SPRITES.complete), c => {
+        drawArena(c);
+    });
+
+    // The blast spreads outward from the centre on the tick the quadrants activate, then fades on the next.
+    let wave = previous ? QUADRANTS.map((_, e) => state.quadrantsActive[e] != previous.quadrantsActive[e]) : [];
+    let waveProgress = wave.indexOf(true) != -1 ? progress : 1;
+    renderLayer(QUADRANT_LAYER, JSON.stringify([state.quadrantsActive, wave, waveProgress]), c => {
+        QUADRANTS.forEach((q, e) => {
+            if (!wave[e]) {
+                drawQuadrant(q, c);
+            } else if (q.isActive) {
+                drawQuadrant(q, c, ARENA_OUTER_RADIUS * easeOut(waveProgress), waveProgress < 1);
+            } else {
+                c.globalAlpha = 1 - waveProgress;
+                drawQuadrant(q, c, ARENA_OUTER_RADIUS, false, true);
+                c.globalAlpha = 1;
+            }
+        });
+    });
+
+    // Glyphs sit above the quadrants so that they stay visible during a blast.
+    renderLayer(GLYPH_LAYER, JSON.stringify([state.glyphsActive, GLYPH_SPRITES.complete]), c => {
+        GLYPHS.forEach(g => drawGlyph(g, c));
+    });
+
+    // Orbs grow in when they spawn, count down their lifetime, and fade out on their final tick.
+    // Orbs that disappear early were walked into, and burst instead.
+    let orbProgress = previous && (state.orbs.length > 0 || previous.orbs.length > 0) ? progress : null;
+    renderLayer(ORB_LAYER, JSON.stringify([state.orbs, orbProgress]), c => {
+        for (const orb of state.orbs) {
+            drawOrb(orb, state.tick - 1 - orb.spawnTick, orbProgress, c);
+        }
+
+        if (previous && orbProgress !== null) {
+            for (const orb of previous.orbs) {
+                let age = previous.tick - 1 - orb.spawnTick;
+                if (age < ORB_LIFETIME - 1 && !state.orbs.some(o => o.x == orb.x && o.y == orb.y)) {
+                    c.globalAlpha = 1 - orbProgress;
+                    drawCircle(new Point(orb.x + 0.5, orb.y + 0.5), 0.45 * (1 + orbProgress), QUADRANTS[orb.element].orbFill, c);
+                    c.globalAlpha = 1;
+                }
+            }
         }
+    });
+
+    // The review stays up once the run is over, and follows the scrubber during a replay.
+    let reviewKey = JSON.stringify([REVIEW_OPTIONS, isReviewShown(state), state.tick, RECORDING.length, IS_RUN_SAVED]);
+    renderLayer(REVIEW_LAYER, reviewKey, c => drawReview(state, c));
+
+    // The route is only solved when it is first shown for a pattern.
+    let routeKey = JSON.stringify([ROUTE_OPTIONS, state.seed, state.pattern, state.sequence.length, state.tick, RECORDING.length]);
+    renderLayer(ROUTE_LAYER, routeKey, c => drawRoute(state, c));
+
+    renderLayer(PLAYER_LAYER, JSON.stringify([state.player, state.target, state.teammates]), c => {
+        drawTeammates(state, c);
+        highlightTile(new Point(state.target.x, state.target.y), TARGET_TILE_STROKE, c);
+        highlightTile(new Point(state.player.x, state.player.y), PLAYER_TILE_STROKE, c);
+    });
+
+    // The pulse flashes at the start of every tick, then fades out over the tick.
+    let pulse = (previous && HUD_OPTIONS.pulse) ? progress : 1;
+    renderLayer(HUD_LAYER, JSON.stringify([state.tick, state.sequence.length, HUD_OPTIONS, pulse, RECALL && RECALL.answers]), c => {
+        drawHud(state, pulse, c);
+        drawRecallFeedback(c);
+    });
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (const layer of LAYERS) {
+        ctx.drawImage(layer.canvas, 0, 0);
+    }
+}
+
+/**
+ * Redraws a layer from scratch if the state it shows has changed since it was last drawn.
+ *
+ * @param layer               The layer to redraw.
+ * @param key                 Describes the state the layer shows.
+ * @param draw                Draws the layer's contents onto its context.
+ */
+function renderLayer(layer: Layer, key: string, draw: (c: CanvasRenderingContext2D) => void) {
+    if (layer.key === key) {
+        return;
     }
 
-    highlightTile(PLAYER, PLAYER_TILE_STROKE);
+    layer.ctx.clearRect(0, 0, layer.canvas.width, layer.canvas.height);
+    draw(layer.ctx);
+    layer.key = key;
 }
 
 /**
- * Draws the arena on the canvas.
+ * Draws the arena.
+ *
+ * @param c                   The context to draw on.
  */
-function drawArena() {
-    drawCircle(ORIGIN, ARENA_OUTER_RADIUS, ARENA_OUTER_FILL);
-    drawCircle(ORIGIN, ARENA_MIDDLE_RADIUS, ARENA_MIDDLE_FILL_BLUE);
-    drawCircle(ORIGIN, ARENA_INNER_RADIUS, ARENA_INNER_FILL);
+function drawArena(c: CanvasRenderingContext2D = ctx) {
+    drawCircle(ORIGIN, ARENA_OUTER_RADIUS, ARENA_OUTER_FILL, c);
+    drawCircle(ORIGIN, ARENA_MIDDLE_RADIUS, ARENA_MIDDLE_FILL_BLUE, c);
+    drawCircle(ORIGIN, ARENA_INNER_RADIUS, ARENA_INNER_FILL, c);
 
-    drawTriangle(new Point(10, 0), new Point(9.4, 10), new Point(10, 10), ARENA_STAR_FILL);
-    drawTriangle(new Point(10, 0), new Point(10.6, 10), new Point(10, 10), ARENA_STAR_FILL);
+    drawTriangle(new Point(10, 0), new Point(9.4, 10), new Point(10, 10), ARENA_STAR_FILL, c);
+    drawTriangle(new Point(10, 0), new Point(10.6, 10), new Point(10, 10), ARENA_STAR_FILL, c);
 
-    drawTriangle(new Point(10, 10), new Point(9.4, 10), new Point(10, 20), ARENA_STAR_FILL);
-    drawTriangle(new Point(10, 10), new Point(10.6, 10), new Point(10, 20), ARENA_STAR_FILL);
+    drawTriangle(new Point(10, 10), new Point(9.4, 10), new Point(10, 20), ARENA_STAR_FILL, c);
+    drawTriangle(new Point(10, 10), new Point(10.6, 10), new Point(10, 20), ARENA_STAR_FILL, c);
 
-    drawTriangle(new Point(0, 10), new Point(10, 9.4), new Point(10, 10), ARENA_STAR_FILL);
-    drawTriangle(new Point(0, 10), new Point(10, 10.6), new Point(10, 10), ARENA_STAR_FILL);
+    drawTriangle(new Point(0, 10), new Point(10, 9.4), new Point(10, 10), ARENA_STAR_FILL, c);
+    drawTriangle(new Point(0, 10), new Point(10, 10.6), new Point(10, 10), ARENA_STAR_FILL, c);
 
-    drawTriangle(new Point(10, 10), new Point(10, 9.4), new Point(20, 10), ARENA_STAR_FILL);
-    drawTriangle(new Point(10, 10), new Point(10, 10.6), new Point(20, 10), ARENA_STAR_FILL);
+    drawTriangle(new Point(10, 10), new Point(10, 9.4), new Point(20, 10), ARENA_STAR_FILL, c);
+    drawTriangle(new Point(10, 10), new Point(10, 10.6), new Point(20, 10), ARENA_STAR_FILL, c);
 }
 
 /**
- * Draws a quadrant of the arena on the canvas.
+ * Draws a quadrant of the arena if it is active. Inactive quadrants leave the arena below showing through.
  *
  * @param q                   The Quadrant to draw.
+ * @param c                   The context to draw on.
+ * @param r                   How far the blast has spread from the centre in tiles.
+ * @param edge                Whether to outline the front of the blast wave.
+ * @param force               Whether to draw the quadrant even if it isn't active.
  */
-function drawQuadrant(q: Quadrant) {
+function drawQuadrant(q: Quadrant, c: CanvasRenderingContext2D = ctx, r = ARENA_OUTER_RADIUS, edge = false, force = false) {
+    if (!q.isActive && !force) {
+        return;
+    }
+
     // Construct quarter-circle.
-    ctx.beginPath();
-    ctx.moveTo(ORIGIN.xCoord, ORIGIN.yCoord);
-    ctx.lineTo(q.vertex.xCoord, q.vertex.yCoord);
-    ctx.arc(ORIGIN.xCoord, ORIGIN.yCoord, ARENA_OUTER_RADIUS * TILE_SIZE, q.start, q.end, true);
-    ctx.lineTo(ORIGIN.xCoord, ORIGIN.yCoord);
-
-    if (q.isActive) {
-        ctx.fillStyle = q.quadrantFill;
-        ctx.fill();
-    } else {
-        if (q.image) {
-            ctx.putImageData(q.image, q.origin.xCoord, q.origin.yCoord);
-        }
+    c.beginPath();
+    c.moveTo(toCoord(ORIGIN.x), toCoord(ORIGIN.y));
+    c.arc(toCoord(ORIGIN.x), toCoord(ORIGIN.y), r * TILE_SIZE, q.start, q.end, true);
+    c.closePath();
+
+    c.fillStyle = q.quadrantFill;
+    c.fill();
+
+    if (SHOW_SYMBOLS) {
+        c.fillStyle = quadrantPattern(q.element, c) || q.quadrantFill;
+        c.fill();
+    }
+
+    if (edge) {
+        c.beginPath();
+        c.arc(toCoord(ORIGIN.x), toCoord(ORIGIN.y), r * TILE_SIZE, q.start, q.end, true);
+        c.strokeStyle = BLAST_WAVE_STROKE;
+        c.lineWidth = 2;
+        c.stroke();
+        c.lineWidth = 1;
+    }
+}
+
+/**
+ * Draws a magical orb partway through its lifetime, with a ring showing how long it has left.
+ *
+ * @param orb                 The magical orb to draw.
+ * @param age                 The number of whole ticks since the orb spawned.
+ * @param progress            How far through the current tick to draw, or null to draw the orb without animating.
+ * @param c                   The context to draw on.
+ */
+function drawOrb(orb: OrbSnapshot, age: number, progress: number | null, c: CanvasRenderingContext2D = ctx) {
+    // Have to adjust by half a tile to center the orb properly.
+    let center = new Point(orb.x + 0.5, orb.y + 0.5);
+    let elapsed = age + (progress === null ? 0 : progress);
+    let grow = (progress === null || age > 0) ? 1 : easeOut(clamp(progress / ORB_SPAWN_TICKS, 0, 1));
+    let life = clamp(ORB_LIFETIME - elapsed, 0, ORB_LIFETIME);
+
+    c.globalAlpha = clamp(life, 0, 1);
+    drawCircle(center, 0.45 * grow, QUADRANTS[orb.element].orbFill, c);
+    if (SHOW_SYMBOLS) {
+        drawSymbol(orb.element, center, 0.5 * grow, c);
     }
+
+    // The ring empties clockwise as the orb's lifetime runs out.
+    c.beginPath();
+    c.arc(toCoord(center.x), toCoord(center.y), 0.45 * grow * TILE_SIZE, -0.5 * Math.PI, (life / ORB_LIFETIME * 2 - 0.5) * Math.PI, false);
+    c.strokeStyle = ORB_TIMER_STROKE;
+    c.lineWidth = 2;
+    c.stroke();
+    c.lineWidth = 1;
+    c.globalAlpha = 1;
 }
 
 /**
- * Draws a glyph.
+ * Draws a glyph from the sprite sheet, lit up in its active colour when active.
+ * Falls back to a coloured square until the sprite sheet has loaded.
  *
  * @param g                   The glyph to draw.
+ * @param c                   The context to draw on.
  */
-function drawGlyph(g: Glyph) {
-    // Draw the glyphs.
-    // TODO: Replace with images when available, but for now just scuffed placeholders.
+function drawGlyph(g: Glyph, c: CanvasRenderingContext2D = ctx) {
     let fill = g.isActive ? g.activeFill : g.inactiveFill;
-    drawSquare(g.pos, 1, fill);
+    if (!GLYPH_SPRITES.complete || GLYPH_SPRITES.naturalWidth == 0) {
+        drawSquare(g.pos, 1, fill, c);
+    } else {
+        c.drawImage(GLYPH_SPRITES, g.frame.x, g.frame.y, g.frame.size, g.frame.size,
+            toCoord(g.pos.x), toCoord(g.pos.y), TILE_SIZE, TILE_SIZE);
+
+        if (g.isActive) {
+            c.globalAlpha = ACTIVE_GLYPH_ALPHA;
+            drawSquare(g.pos, 1, fill, c);
+            c.globalAlpha = 1;
+            highlightTile(g.pos, fill, c);
+        }
+    }
+
+    if (SHOW_SYMBOLS) {
+        drawSymbol(GLYPHS.indexOf(g), new Point(g.pos.x + 0.5, g.pos.y + 0.5), 0.6, c);
+    }
+}
+
+/**
+ * Converts a distance in tiles to screen coordinates.
+ *
+ * @param len                 The distance in tiles.
+ */
+function toCoord(len: number): number {
+    return TILE_SIZE * len;
+}
+
+/**
+ * Eases an animation so that it starts quickly and slows down towards the end.
+ *
+ * @param t                   How far through the animation, from 0 to 1.
+ */
+function easeOut(t: number): number {
+    return 1 - (1 - t) * (1 - t);
 }
 
 /**
@@ -541,12 +1151,13 @@ function drawGlyph(g: Glyph) {
  * @param pos                 The center of the circle in tiles.
  * @param r                   The radius of the circle in tiles.
  * @param fill                The color with which to fill the circle.
+ * @param c                   The context to draw on.
  */
-function drawCircle(pos: Point, r: number, fill: string) {
-    ctx.beginPath();
-    ctx.arc(pos.xCoord, pos.yCoord, r * TILE_SIZE, 0, 2 * Math.PI, false);
-    ctx.fillStyle = fill;
-    ctx.fill();
+function drawCircle(pos: Point, r: number, fill: string, c: CanvasRenderingContext2D = ctx) {
+    c.beginPath();
+    c.arc(toCoord(pos.x), toCoord(pos.y), r * TILE_SIZE, 0, 2 * Math.PI, false);
+    c.fillStyle = fill;
+    c.fill();
 }
 
 /**
@@ -554,10 +1165,11 @@ function drawCircle(pos: Point, r: number, fill: string) {
  * @param pos                 The position of the square in tiles.
  * @param s                   The side length of the square in tiles.
  * @param fill                The color with which to fill the circle.
+ * @param c                   The context to draw on.
  */
-function drawSquare(pos: Point, s: number, fill: string) {
-    ctx.fillStyle = fill;
-    ctx.fillRect(pos.xCoord, pos.yCoord, s * TILE_SIZE, s * TILE_SIZE);
+function drawSquare(pos: Point, s: number, fill: string, c: CanvasRenderingContext2D = ctx) {
+    c.fillStyle = fill;
+    c.fillRect(toCoord(pos.x), toCoord(pos.y), s * TILE_SIZE, s * TILE_SIZE);
 }
 
 /**
@@ -567,33 +1179,98 @@ function drawSquare(pos: Point, s: number, fill: string) {
  * @param pos2                The position of the second vertex in tiles.
  * @param pos3                The position of the third vertex in tiles.
  * @param fill                The color with which to fill the triangle.
+ * @param c                   The context to draw on.
  */
-function drawTriangle(pos1: Point, pos2: Point, pos3: Point, fill: string) {
+function drawTriangle(pos1: Point, pos2: Point, pos3: Point, fill: string, c: CanvasRenderingContext2D = ctx) {
     let path = new Path2D();
-    path.moveTo(pos1.xCoord, pos1.yCoord);
-    path.lineTo(pos2.xCoord, pos2.yCoord);
-    path.lineTo(pos3.xCoord, pos3.yCoord);
-    ctx.fillStyle = fill;
-    ctx.fill(path);
+    path.moveTo(toCoord(pos1.x), toCoord(pos1.y));
+    path.lineTo(toCoord(pos2.x), toCoord(pos2.y));
+    path.lineTo(toCoord(pos3.x), toCoord(pos3.y));
+    c.fillStyle = fill;
+    c.fill(path);
 }
 
 /**
- * Draws the given string on the screen as text.
+ * Draws the heads-up display: the tick counter and pulse, the phase of the memory blast,
+ * and the countdown to the next blast.
+ *
+ * @param state               The engine state to describe.
+ * @param pulse               How far the tick pulse has faded, from 0 to 1.
+ * @param c                   The context to draw on.
+ */
+function drawHud(state: EngineSnapshot, pulse: number, c: CanvasRenderingContext2D = ctx) {
+    let phase = sequencePhase(state.sequence, state.tick - 1, state.concurrent);
+
+    let lines: string[] = [];
+    if (HUD_OPTIONS.tick) {
+        lines.push(`Tick ${state.tick}`);
+    }
+    if (HUD_OPTIONS.phase) {
+        if (isRecalling() && RECALL) {
+            lines.push(`recall ${RECALL.answers.length + 1} of ${RECALL.pattern.length}`);
+        } else {
+            lines.push(phase.name == "blast" ? `blast ${phase.blastsResolved} of ${phase.numBlasts}` : phase.name);
+        }
+    }
+    lines.forEach((line, i) => drawText(line, new Point(0.2, 0.2 + 0.8 * i), c));
+
+    if (HUD_OPTIONS.countdown && phase.ticksToBlast !== null) {
+        drawText(`Next blast: ${phase.ticksToBlast}`, new Point(ARENA_SIZE - 0.2, 0.2), c, "right");
+    }
+
+    if (HUD_OPTIONS.pulse && pulse < 1) {
+        c.globalAlpha = 1 - pulse;
+        drawCircle(new Point(0.5, ARENA_SIZE - 0.5), 0.3 * (1 + pulse), HUD_PULSE_FILLS[state.tick % 2], c);
+        c.globalAlpha = 1;
+    }
+}
+
+/**
+ * Callback for the heads-up display controls.
+ */
+function readHudOptions() {
+    HUD_OPTIONS = {
+        tick: (document.getElementById("hud-tick") as HTMLInputElement).checked,
+        phase: (document.getElementById("hud-phase") as HTMLInputElement).checked,
+        countdown: (document.getElementById("hud-countdown") as HTMLInputElement).checked,
+        pulse: (document.getElementById("hud-pulse") as HTMLInputElement).checked,
+    };
+    redraw();
+}
+
+/**
+ * Draws the given string on the screen as text, on a dark background so it can be read over the arena.
  *
  * @param s                   The text to draw.
+ * @param pos                 The top corner of the text in tiles, on the side given by align.
+ * @param c                   The context to draw on.
+ * @param align               Which side of the text pos is on.
  */
-function drawText(s: string) {
-    ctx.font = "18px serif";
-    ctx.fillText(s, 0, 0);
+function drawText(s: string, pos: Point, c: CanvasRenderingContext2D = ctx, align: "left" | "right" = "left") {
+    let size = Math.round(TILE_SIZE * 0.6);
+    c.font = `${size}px Arial, Helvetica, sans-serif`;
+    c.textAlign = align;
+    c.textBaseline = "top";
+
+    let width = c.measureText(s).width;
+    let left = align == "left" ? toCoord(pos.x) : toCoord(pos.x) - width;
+    let pad = size * 0.15;
+    c.fillStyle = HUD_BACKGROUND_FILL;
+    c.fillRect(left - pad, toCoord(pos.y) - pad, width + 2 * pad, size + 2 * pad);
+
+    c.fillStyle = HUD_TEXT_FILL;
+    c.fillText(s, toCoord(pos.x), toCoord(pos.y));
 }
 
 /**
  * Highlights all tiles.
+ *
+ * @param c                   The context to draw on.
  */
-function highlightGrid() {
+function highlightGrid(c: CanvasRenderingContext2D = ctx) {
     for (let i = 0; i < ARENA_OUTER_RADIUS * 2; i++) {
         for (let j = 0; j < ARENA_OUTER_RADIUS * 2; j++) {
-            highlightTile(new Point(i, j), GRID_TILE_STROKE);
+            highlightTile(new Point(i, j), GRID_TILE_STROKE, c);
         }
     }
 }
@@ -603,10 +1280,11 @@ function highlightGrid() {
  *
  * @param pos                 The Point representing the tile to highlight.
  * @param stroke              The stroke color.
+ * @param c                   The context to draw on.
  */
-function highlightTile(pos: Point, stroke: string) {
-    ctx.strokeStyle = stroke;
-    ctx.strokeRect(pos.xCoord, pos.yCoord, 1 * TILE_SIZE, 1 * TILE_SIZE);
+function highlightTile(pos: Point, stroke: string, c: CanvasRenderingContext2D = ctx) {
+    c.strokeStyle = stroke;
+    c.strokeRect(toCoord(pos.x), toCoord(pos.y), 1 * TILE_SIZE, 1 * TILE_SIZE);
 }
 
 /// ------------------------------------------------------------------------------------------------
@@ -617,12 +1295,75 @@ function highlightTile(pos: Point, stroke: string) {
  * Starts the memory blast.
  */
 function start() {
-    if (PATTERN.length == 0) {
+    stopReplay();
+
+    if (ENGINE.pattern.length == 0) {
         generate();
     }
 
-    TICK_COUNT = 0;
-    TICK_TIMER = setInterval(tick, TICK_DURATION);
+    SCHEDULER.start();
+    setPauseButtonText();
+    // Focus the arena so that the movement keys work straight away.
+    canvas.focus();
+}
+
+/**
+ * Pauses the memory blast, or resumes it if paused. Starts it if it hasn't been started.
+ */
+function togglePause() {
+    if (SCHEDULER.isRunning) {
+        SCHEDULER.stop();
+        setPauseButtonText();
+    } else {
+        start();
+    }
+}
+
+/**
+ * Pauses the memory blast and advances it by a single tick.
+ */
+function stepTick() {
+    stopReplay();
+    SCHEDULER.stop();
+    setPauseButtonText();
+
+    if (ENGINE.pattern.length == 0) {
+        generate();
+    }
+    tick();
+}
+
+/**
+ * Callback for the speed selector.
+ */
+function changeSpeed() {
+    let speedInput = document.getElementById("speed") as HTMLSelectElement;
+    SCHEDULER.setSpeed(Number(speedInput.value) || 1);
+}
+
+/**
+ * Moves the speed selector to the next slower or faster speed.
+ *
+ * @param delta               -1 for slower, 1 for faster.
+ */
+function cycleSpeed(delta: number) {
+    let i = clamp(TICK_SPEEDS.indexOf(SCHEDULER.speed) + delta, 0, TICK_SPEEDS.length - 1);
+    let speedInput = document.getElementById("speed") as HTMLSelectElement;
+    speedInput.value = String(TICK_SPEEDS[i]);
+    changeSpeed();
+}
+
+/**
+ * Sets the label of the pause button to match whether the memory blast is paused partway through.
+ */
+function setPauseButtonText() {
+    let isPaused = !SCHEDULER.isRunning && ENGINE.tick > 0 && !ENGINE.isFinished();
+    for (const id of ["pause", "control-pause"]) {
+        let button = document.getElementById(id);
+        if (button) {
+            button.innerHTML = isPaused ? "Resume" : "Pause";
+        }
+    }
 }
 
 function restart() {
@@ -638,130 +1379,104 @@ function newPattern() {
 }
 
 /**
- * Generates a random order in which glyphs will turn active.
- *
- * Populates the two global arrays, PATTERN and SEQUENCE.
- * - PATTERN contains the ordering the glyphs and nothing more.
- * - SEQUENCE details exactly how each game tick is played out, given the ordering in PATTERN.
+ * Reads the user configuration from the settings controls.
  */
-function generate() {
-    PATTERN.length = 0;
-    SEQUENCE.length = 0;
-
+function readSettings(): EngineSettings {
     let dtInput = document.getElementById("dt") as HTMLInputElement;
     let fsInput = document.getElementById("fs") as HTMLInputElement;
     let agInput = document.getElementById("ag") as HTMLInputElement;
 
-    DOUBLE_TROUBLE = dtInput.checked;
-    FEELING_SPECIAL = fsInput.checked;
-    NUM_ACTIVE_GLYPHS = Number(agInput.value);
-    TOTAL_NUM_ACTIVE_GLYPHS += NUM_ACTIVE_GLYPHS;
-
-    // Start with some empty events to give the player time to adjust.
-    SEQUENCE.push(EventType.Empty);
-    SEQUENCE.push(EventType.Empty);
-
-    let glyphEvent: EventType;
-    let prevEvent: EventType = EventType.Empty;
-
-    for (let i = 1; i <= NUM_ACTIVE_GLYPHS; i++) {
-        glyphEvent = randGlyphEvent(prevEvent);
-        PATTERN.push(glyphEvent);
-
-        // Add events for the glyphs lighting up.
-        // Each glyph will light up for 2 ticks to show the order to the player.
-        // If Feeling Special is active, the memory blasts will start at
-        // the same time as the final glyph lighting up.
-        SEQUENCE.push(glyphEvent);
-        SEQUENCE.push(EventType.Reset);
-        // TODO: Technically this is wrong. Maybe could do a bitmap for the event IDs.
-        if (FEELING_SPECIAL && i == NUM_ACTIVE_GLYPHS) {
-            SEQUENCE.pop();
-        }
+    let bdInput = document.getElementById("bd") as HTMLInputElement;
+    let odInput = document.getElementById("od") as HTMLInputElement;
+    let deInput = document.getElementById("de") as HTMLInputElement;
+    let sgInput = document.getElementById("sg") as HTMLInputElement;
+    let adInput = document.getElementById("ad") as HTMLInputElement;
+    let qzInput = document.getElementById("qz") as HTMLInputElement;
+    let wtInput = document.getElementById("wt") as HTMLInputElement;
+    let aglInput = document.getElementById("agl") as HTMLInputElement;
+    let reInput = document.getElementById("re") as HTMLInputElement;
+
+    return {
+        doubleTrouble: dtInput.checked,
+        feelingSpecial: fsInput.checked,
+        numActiveGlyphs: Number(agInput.value),
+        blastDamage: Math.max(Number(bdInput.value) || 0, 0),
+        orbDamage: Math.max(Number(odInput.value) || 0, 0),
+        deathEndsRun: deInput.checked,
+        solidGlyphs: sgInput.checked,
+        adaptive: adInput.checked,
+        recallQuiz: qzInput.checked,
+        weight: Number(wtInput.value) || 0,
+        agility: clamp(Number(aglInput.value) || 1, 1, 99),
+        startRunEnergy: clamp(Number(reInput.value) || 0, 0, 100),
+        teammateSkills: readTeammateSkills(),
+    };
+}
+
+/**
+ * Sets the settings controls to a configuration.
+ *
+ * @param settings            The configuration to show.
+ */
+function writeSettings(settings: EngineSettings) {
+    (document.getElementById("dt") as HTMLInputElement).checked = settings.doubleTrouble;
+    (document.getElementById("fs") as HTMLInputElement).checked = settings.feelingSpecial;
+    (document.getElementById("ag") as HTMLInputElement).value = String(settings.numActiveGlyphs);
+    (document.getElementById("ad") as HTMLInputElement).checked = settings.adaptive;
+    (document.getElementById("qz") as HTMLInputElement).checked = settings.recallQuiz;
+
+    (document.getElementById("bd") as HTMLInputElement).value = String(settings.blastDamage);
+    (document.getElementById("od") as HTMLInputElement).value = String(settings.orbDamage);
+    (document.getElementById("de") as HTMLInputElement).checked = settings.deathEndsRun;
+    (document.getElementById("sg") as HTMLInputElement).checked = settings.solidGlyphs;
+    (document.getElementById("wt") as HTMLInputElement).value = String(settings.weight);
+    (document.getElementById("agl") as HTMLInputElement).value = String(settings.agility);
+    (document.getElementById("re") as HTMLInputElement).value = String(settings.startRunEnergy);
+    writeTeammateSkills(settings.teammateSkills || []);
+}
 
-        prevEvent = glyphEvent;
+/**
+ * Generates a new pattern from the settings controls.
+ *
+ * @param seed                The seed for the pattern. If omitted, a new seed is chosen at random.
+ * @param numActiveGlyphs     The number of glyphs in the pattern, e.g. from a link. If omitted, it is taken from
+ *                            the settings, plus the streak in a recall quiz.
+ */
+function generate(seed?: number, numActiveGlyphs?: number) {
+    let settings = readSettings();
+    if (numActiveGlyphs !== undefined) {
+        settings.numActiveGlyphs = numActiveGlyphs;
+    } else if (settings.recallQuiz) {
+        settings.numActiveGlyphs = Math.min(settings.numActiveGlyphs + RECALL_STREAK, MAX_RECALL_GLYPHS);
     }
 
-    // Add empty events to signify the brief cooldown window between the final glyph lighting up
-    // and the first blast. When Feeling Special is active, this cooldown window is shortened from
-    // 2 ticks to 0 ticks.
-    if (FEELING_SPECIAL) {
-        SEQUENCE.push(EventType.Empty);
+    let scenario = selectedScenario();
+    let weights = settings.adaptive ? adaptiveWeights(loadHistory()) : null;
+    if (scenario) {
+        ENGINE.loadScenario(settings, scenario, seed, weights);
     } else {
-        SEQUENCE.push(EventType.Empty);
-        SEQUENCE.push(EventType.Empty);
-    }
-
-    // Add events to signify the blasts. When Feeling Special is active, the cooldown window
-    // between consecutive blasts is shortened from 4 ticks to 2 ticks.
-    for (let j = 0; j < PATTERN.length; j++) {
-        glyphEvent = PATTERN[j];
-        switch (glyphEvent) {
-            case EventType.FireGlyphActive:
-                SEQUENCE.push(EventType.FireQuadrantStage1);
-                if (FEELING_SPECIAL) {
-                    SEQUENCE.push(EventType.FireQuadrantStage2);
-                } else {
-                    SEQUENCE.push(EventType.FireQuadrantStage2);
-                    SEQUENCE.push(EventType.FireQuadrantStage2);
-                }
-                break;
-            case EventType.ShadowGlyphActive:
-                SEQUENCE.push(EventType.ShadowQuadrantStage1);
-                if (FEELING_SPECIAL) {
-                    SEQUENCE.push(EventType.ShadowQuadrantStage2);
-                } else {
-                    SEQUENCE.push(EventType.ShadowQuadrantStage2);
-                    SEQUENCE.push(EventType.ShadowQuadrantStage2);
-                }
-                break;
-            case EventType.IceGlyphActive:
-                SEQUENCE.push(EventType.IceQuadrantStage1);
-                if (FEELING_SPECIAL) {
-                    SEQUENCE.push(EventType.IceQuadrantStage2);
-                } else {
-                    SEQUENCE.push(EventType.IceQuadrantStage2);
-                    SEQUENCE.push(EventType.IceQuadrantStage2);
-                }
-                break;
-            case EventType.LightningGlyphActive:
-                SEQUENCE.push(EventType.LightningQuadrantStage1);
-                if (FEELING_SPECIAL) {
-                    SEQUENCE.push(EventType.LightningQuadrantStage2);
-                } else {
-                    SEQUENCE.push(EventType.LightningQuadrantStage2);
-                    SEQUENCE.push(EventType.LightningQuadrantStage2);
-                }
-                break;
-        }
+        ENGINE.generate(settings, seed, weights);
+    }
+    if (!settings.recallQuiz) {
+        TOTAL_NUM_ACTIVE_GLYPHS += ENGINE.settings.numActiveGlyphs;
     }
 
-    // Ends the game.
-    SEQUENCE.push(EventType.End);
+    saveLink(scenario ? (document.getElementById("scenario") as HTMLSelectElement).value : "");
 }
 
 /**
  * Resets the memory blast to its initial state, paused.
  */
 function resetVars() {
-    clearInterval(TICK_TIMER);
-    TICK_COUNT = 0;
-
-    ctx.putImageData(DEFAULT_ARENA_STATE_FULL, 0, 0);
-    FIRE_QUADRANT.isActive = false;
-    SHADOW_QUADRANT.isActive = false;
-    ICE_QUADRANT.isActive = false;
-    LIGHTNING_QUADRANT.isActive = false;
-
-    CURR_NUM_GLYPHS_PASSED = 0;
-    CURR_NUM_ORBS_TANKED = 0;
-    CURR_NUM_ORBS_SPAWNED = 0;
-
-    PLAYER.x = 10;
-    PLAYER.y = 10;
-    TARGET.x = 10;
-    TARGET.y = 10;
-    MAGICAL_ORBS.clear();
+    SCHEDULER.stop();
+    setPauseButtonText();
+    ENGINE.reset();
+    RECORDING = [];
+    CLICK_TARGET = null;
+    IS_RUN_SAVED = false;
+    clearRecall();
+
+    renderState(ENGINE.snapshot());
 }
 
 /**
@@ -769,321 +1484,228 @@ function resetVars() {
  */
 function tick() {
     // If the pattern has been fully iterated over, then the memory blast is done.
-    if (TICK_COUNT >= SEQUENCE.length) {
-        clearInterval(TICK_TIMER);
+    let previous = ENGINE.snapshot();
+    let result = ENGINE.step(CLICK_TARGET);
+    CLICK_TARGET = null;
+    if (!result) {
+        SCHEDULER.stop();
+        setPauseButtonText();
+        if (ENGINE.settings.recallQuiz) {
+            // Recall quizzes have no blasts to score, so they are kept out of the stats and history.
+            if (!IS_RUN_SAVED) {
+                startRecall(ENGINE.pattern);
+                IS_RUN_SAVED = true;
+                redraw();
+            }
+            return;
+        }
+
         printStats();
+        if (!IS_RUN_SAVED) {
+            saveRunToHistory(summarizeRun(ENGINE));
+            saveRunPath(RECORDING);
+            IS_RUN_SAVED = true;
+            redraw();
+            if (ENGINE.settings.adaptive) {
+                promoteAdaptiveGlyphs();
+            }
+        }
+        return;
     }
 
-    // Reset graphic to default state.
-    if (IS_MAGICAL_ORB_DELETED) {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        IS_MAGICAL_ORB_DELETED = false;
+    TOTAL_NUM_ORBS_SPAWNED += result.orbsSpawned;
+    if (result.tankedOrb) {
+        TOTAL_NUM_ORBS_TANKED += 1;
     }
-    ctx.putImageData(DEFAULT_ARENA_STATE_FULL, 0, 0);
+    if (result.passedBlast) {
+        TOTAL_NUM_GLYPHS_PASSED += 1;
+    }
+    TOTAL_DAMAGE_TAKEN += result.damage;
 
-    // Render target tile highlight before updating positions.
-    highlightTile(TARGET, TARGET_TILE_STROKE);
+    let state = ENGINE.snapshot();
+    RECORDING.push(new TickRecord(result, state));
 
-    // Update state.
-    updatePositions();
-    advanceMemoryBlast();
+    result.events.forEach(playEventSound);
+    announceTick(result);
+    renderState(state, previous);
+}
 
-    // Check for damage.
-    if (DOUBLE_TROUBLE) {
-        if (isDamagedByMagicalOrb()) {
-            CURR_NUM_ORBS_TANKED += 1;
-            TOTAL_NUM_ORBS_TANKED += 1;
+/**
+ * Raises the Active Glyphs setting when adaptive mode decides the player is ready for more.
+ * Takes effect from the next new pattern.
+ */
+function promoteAdaptiveGlyphs() {
+    let current = ENGINE.settings.numActiveGlyphs;
+    let next = adaptiveGlyphCount(loadHistory(), current);
+    if (next > current) {
+        activeGlyphsInput.value = String(next);
+        syncPathLevel();
+
+        let gp = document.getElementById("numGlyphPassed");
+        if (gp) {
+            gp.innerHTML += ` - Adaptive: moving up to ${next} glyphs`;
         }
-
-        deleteMagicalOrbs();
-    }
-
-    if (isPassedMemoryBlast()) {
-        CURR_NUM_GLYPHS_PASSED += 1;
-        TOTAL_NUM_GLYPHS_PASSED += 1;
     }
-
-    // Render.
-    renderTick();
-
-    // Advance internal tick counter.
-    TICK_COUNT += 1;
 }
 
 /**
- * Advances the memory blast state.
- * Mapping from integer to game event is defined here.
+ * Plays the sound cue for an event, if it has one.
+ *
+ * @param event               The event being played out.
  */
-function advanceMemoryBlast() {
-    let event = SEQUENCE[TICK_COUNT];
+function playEventSound(event: EventType) {
     switch (event) {
         case EventType.FireGlyphActive:
-            FIRE_GLYPH.isActive = true;
-            SHADOW_GLYPH.isActive = false;
-            ICE_GLYPH.isActive = false;
-            LIGHTNING_GLYPH.isActive = false;
-            GLYPH_SFX_1.play();
-            break;
         case EventType.ShadowGlyphActive:
-            FIRE_GLYPH.isActive = false;
-            SHADOW_GLYPH.isActive = true;
-            ICE_GLYPH.isActive = false;
-            LIGHTNING_GLYPH.isActive = false;
-            GLYPH_SFX_2.play();
-            break;
         case EventType.IceGlyphActive:
-            FIRE_GLYPH.isActive = false;
-            SHADOW_GLYPH.isActive = false;
-            ICE_GLYPH.isActive = true;
-            LIGHTNING_GLYPH.isActive = false;
-            GLYPH_SFX_3.play();
-            break;
         case EventType.LightningGlyphActive:
-            FIRE_GLYPH.isActive = false;
-            SHADOW_GLYPH.isActive = false;
-            ICE_GLYPH.isActive = false;
-            LIGHTNING_GLYPH.isActive = true;
-            GLYPH_SFX_4.play();
+            playGlyphCue(glyphElement(event));
             break;
         case EventType.FireQuadrantStage1:
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = true;
-            ICE_QUADRANT.isActive = true;
-            LIGHTNING_QUADRANT.isActive = true;
-            BLAST_SFX_1.play();
-            break;
-        case EventType.FireQuadrantStage2:
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            break;
         case EventType.ShadowQuadrantStage1:
-            FIRE_QUADRANT.isActive = true;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = true;
-            LIGHTNING_QUADRANT.isActive = true;
-            BLAST_SFX_2.play();
-            break;
-        case EventType.ShadowQuadrantStage2:
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            break;
         case EventType.IceQuadrantStage1:
-            FIRE_QUADRANT.isActive = true;
-            SHADOW_QUADRANT.isActive = true;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = true;
-            BLAST_SFX_3.play();
-            break;
-        case EventType.IceQuadrantStage2:
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            break;
         case EventType.LightningQuadrantStage1:
-            FIRE_QUADRANT.isActive = true;
-            SHADOW_QUADRANT.isActive = true;
-            ICE_QUADRANT.isActive = true;
-            LIGHTNING_QUADRANT.isActive = false;
-            BLAST_SFX_4.play();
+            playBlastCue();
             break;
-        case EventType.LightningQuadrantStage2:
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            break;
-        case EventType.Reset:
-            FIRE_GLYPH.isActive = false;
-            SHADOW_GLYPH.isActive = false;
-            ICE_GLYPH.isActive = false;
-            LIGHTNING_GLYPH.isActive = false;
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            break;
-        case EventType.End:
-            FIRE_GLYPH.isActive = false;
-            SHADOW_GLYPH.isActive = false;
-            ICE_GLYPH.isActive = false;
-            LIGHTNING_GLYPH.isActive = false;
-            FIRE_QUADRANT.isActive = false;
-            SHADOW_QUADRANT.isActive = false;
-            ICE_QUADRANT.isActive = false;
-            LIGHTNING_QUADRANT.isActive = false;
-            MAGICAL_ORBS.clear();
-            break;
-        case EventType.Empty:
         default:
             break;
     }
 }
 
-/**
- * Determines whether the player receives damage from a magical orb.
- *
- * @returns true if there is at least one magical orb on the same tile as the player, else false.
- */
-function isDamagedByMagicalOrb() {
-    return MAGICAL_ORBS.has(PLAYER.toKey());
-}
+/// ------------------------------------------------------------------------------------------------
+/// Replay Helpers
+/// ------------------------------------------------------------------------------------------------
 
 /**
- * Determines whether the player has passed a single glyph's memory blast.
- *
- * @returns true if the player has passed a glyph's memory blast.
+ * Enters the replay viewer for the most recent run, showing its first tick.
+ * Stops the memory blast if it is still in progress.
  */
-function isPassedMemoryBlast() {
-    switch (SEQUENCE[TICK_COUNT]) {
-        case EventType.FireQuadrantStage1:
-            return FIRE_QUADRANT.contains(PLAYER);
-        case EventType.ShadowQuadrantStage1:
-            return SHADOW_QUADRANT.contains(PLAYER);
-        case EventType.IceQuadrantStage1:
-            return ICE_QUADRANT.contains(PLAYER);
-        case EventType.LightningQuadrantStage1:
-            return LIGHTNING_QUADRANT.contains(PLAYER);
-        default:
-            // Should never happen.
-            return false;
+function startReplay() {
+    if (RECORDING.length == 0) {
+        alert("There is no run to replay yet. Click Start to play one.");
+        return;
     }
+
+    SCHEDULER.stop();
+    setPauseButtonText();
+    pauseReplay();
+    IS_REPLAYING = true;
+
+    let scrubber = document.getElementById("replay-scrubber") as HTMLInputElement;
+    scrubber.max = String(RECORDING.length - 1);
+    seekReplay(0);
 }
 
 /**
- * Determines whether the player receives damage from the memory blast.
+ * Leaves the replay viewer.
  */
-function isDamagedByMemoryBlast() {
-    return QUADRANTS.some(q => (q.isActive && q.contains(PLAYER)));
+function stopReplay() {
+    pauseReplay();
+    IS_REPLAYING = false;
 }
 
 /**
- * Moves the player from its current position to TARGET by 1 tick.
+ * Toggles between playing and pausing the replay.
  */
-function updatePositions() {
-    if (!TARGET) {
-        return;
+function toggleReplay() {
+    if (!IS_REPLAYING) {
+        startReplay();
+        if (!IS_REPLAYING) {
+            return;
+        }
     }
 
-    let initX = PLAYER.x;
-    let initY = PLAYER.y;
+    if (REPLAY_TIMER) {
+        pauseReplay();
+        return;
+    }
 
-    let deltaX = TARGET.x - PLAYER.x;
-    let deltaY = TARGET.y - PLAYER.y;
+    // Start from the beginning again if the replay has already finished.
+    if (REPLAY_TICK >= RECORDING.length - 1) {
+        seekReplay(0);
+    }
 
-    // Move the player, up to 2 tiles per tick.
-    deltaX = (Math.abs(deltaX) <= 2) ? deltaX : (deltaX % 2) ? 1 : 2;
-    deltaY = (Math.abs(deltaY) <= 2) ? deltaY : (deltaY % 2) ? 1 : 2;
-    PLAYER.x += deltaX;
-    PLAYER.y += deltaY;
+    REPLAY_TIMER = setInterval(function () {
+        if (REPLAY_TICK >= RECORDING.length - 1) {
+            pauseReplay();
+            return;
+        }
+        seekReplay(REPLAY_TICK + 1);
+    }, SCHEDULER.interval);
+    setReplayButtonText("Pause");
+}
 
-    if (DOUBLE_TROUBLE) {
-        spawnMagicalOrbs(initX, initY, deltaX, deltaY);
-    }
+/**
+ * Pauses the replay on the current tick.
+ */
+function pauseReplay() {
+    clearInterval(REPLAY_TIMER);
+    REPLAY_TIMER = 0;
+    setReplayButtonText("Play");
 }
 
 /**
- * Spawns magical orbs based on the player's destination tile. Orbs last for 6 ticks.
+ * Steps the replay forward or backward.
  *
- * @param initX               The initial x-coordinate of the player's position.
- * @param initY               The initial y-coordinate of the player's position.
- * @param deltaX              The distance that the player travels in the x direction.
- * @param deltaY              The distance that the player travels in the y direction.
- */
-function spawnMagicalOrbs(initX: number, initY: number, deltaX: number, deltaY: number) {
-    let pos: Point;
-    let quad: Quadrant;
-
-    // Only spawn the basic magical orb when the player has moved.
-    if (deltaX != 0 || deltaY != 0) {
-        pos = new Point(initX, initY);
-        quad = Quadrant.getQuadrant(pos);
-        MAGICAL_ORBS.set(pos.toKey(), new MagicalOrb(pos, quad.orbFill));
-        CURR_NUM_ORBS_SPAWNED += 1;
-        TOTAL_NUM_ORBS_SPAWNED += 1;
-
-        // When Feeling Special is enabled, spawns an additional orb in front of the player.
-        // * Diagonal movement: Increment both x and y to place one tile ahead.
-        // * Straight movement: Increment the non-zero dimension.
-        // * L-shaped movement: Increment both x and y to place one tile ahead.
-        if (FEELING_SPECIAL) {
-            // If the magnitude of delta is equal to 2, then reduce to 1.
-            deltaX += (Math.abs(deltaX) == 2) ? ((deltaX > 0) ? -1 : 1) : 0;
-            deltaY += (Math.abs(deltaY) == 2) ? ((deltaY > 0) ? -1 : 1) : 0;
-
-            pos = new Point(PLAYER.x + deltaX, PLAYER.y + deltaY);
-            quad = Quadrant.getQuadrant(pos);
-            MAGICAL_ORBS.set(pos.toKey(), new MagicalOrb(pos, quad.orbFill));
-            CURR_NUM_ORBS_SPAWNED += 1;
-            TOTAL_NUM_ORBS_SPAWNED += 1;
-        }
+ * @param delta               The number of ticks to step. Negative values step backward.
+ */
+function stepReplay(delta: number) {
+    if (!IS_REPLAYING) {
+        startReplay();
+        return;
     }
+
+    pauseReplay();
+    seekReplay(REPLAY_TICK + delta);
 }
 
 /**
- * Deletes magical orbs that should be cleaned up.
+ * Moves the replay to the given tick and renders it.
+ *
+ * @param t                   The index of the recorded tick to show.
  */
-function deleteMagicalOrbs() {
-    // If the player occupies the same tile as a magical orb, the player takes
-    // damage and the orb should be deleted.
-    if (MAGICAL_ORBS.has(PLAYER.toKey())) {
-        MAGICAL_ORBS.delete(PLAYER.toKey());
-        IS_MAGICAL_ORB_DELETED = true;
+function seekReplay(t: number) {
+    if (!IS_REPLAYING || RECORDING.length == 0) {
+        return;
     }
 
-    // Magical orbs should expire after being active for 6 ticks.
-    let toDelete: string[] = [];
-
-    for (const [pos, orb] of MAGICAL_ORBS) {
-        if (orb && orb.spawnTick == TICK_COUNT - 6) {
-            toDelete.push(pos);
+    // Playing forward a single tick animates it, just like the live run.
+    let next = clamp(t, 0, RECORDING.length - 1);
+    let previous = (next == REPLAY_TICK + 1) ? RECORDING[REPLAY_TICK].state : null;
+    REPLAY_TICK = next;
+    let record = RECORDING[REPLAY_TICK];
+    renderState(record.state, previous);
+
+    let scrubber = document.getElementById("replay-scrubber") as HTMLInputElement;
+    scrubber.value = String(REPLAY_TICK);
+
+    let label = document.getElementById("replay-tick");
+    if (label) {
+        let outcome = "";
+        if (record.passedBlast !== null) {
+            outcome += record.passedBlast ? ", blast passed" : ", blast failed";
         }
+        if (record.tankedOrb) {
+            outcome += ", orb tanked";
+        }
+        if (record.damage > 0) {
+            outcome += `, ${record.damage} damage`;
+        }
+        if (record.died) {
+            outcome += ", died";
+        }
+        label.innerHTML = `Tick ${record.tick + 1}/${RECORDING.length}${outcome}`;
     }
-
-    for (const pos of toDelete) {
-        MAGICAL_ORBS.delete(pos);
-    }
-
-    IS_MAGICAL_ORB_DELETED = IS_MAGICAL_ORB_DELETED || toDelete.length > 0;
 }
 
-/// ------------------------------------------------------------------------------------------------
-/// Util
-/// ------------------------------------------------------------------------------------------------
-
 /**
- * Returns a randomly chosen EventType of a glyph activating, given the previous EventType.
+ * Sets the label of the replay play/pause button.
  *
- * @param excl                A single EventType to exclude from the random range.
- * @returns the random EventType.
+ * @param text                The label to show.
  */
-function randGlyphEvent(excl: EventType): EventType {
-    // Build a deep copy of GLYPH_EVENTS so we don't modify it.
-    let validGlyphs = JSON.parse(JSON.stringify(GLYPH_EVENTS));
-
-    // Consecutive glyphs may not repeat and must be adjacent to each other on the arena.
-    let i: number;
-    switch (excl) {
-        case EventType.FireGlyphActive:
-        case EventType.LightningGlyphActive:
-            i = validGlyphs.indexOf(EventType.FireGlyphActive);
-            validGlyphs.splice(i, 1);
-            i = validGlyphs.indexOf(EventType.LightningGlyphActive);
-            validGlyphs.splice(i, 1);
-            break;
-        case EventType.ShadowGlyphActive:
-        case EventType.IceGlyphActive:
-            i = validGlyphs.indexOf(EventType.IceGlyphActive);
-            validGlyphs.splice(i, 1);
-            i = validGlyphs.indexOf(EventType.ShadowGlyphActive);
-            validGlyphs.splice(i, 1);
-            break;
+function setReplayButtonText(text: string) {
+    let button = document.getElementById("replay-play");
+    if (button) {
+        button.innerHTML = text;
     }
-
-    let j = Math.floor(Math.random() * validGlyphs.length);
-    return validGlyphs[j];
 }
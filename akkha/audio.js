@@ -0,0 +1,179 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const AUDIO_STORAGE_KEY = "akkha-audio";
+const GLYPH_SFX_URL = "res/glyph-sfx.ogg";
+const BLAST_SFX_URL = "res/blast-sfx.ogg";
+/** The number of semitones each element's glyph cue is shifted by when element pitch is on, indexed by ElementType. */
+const ELEMENT_SEMITONES = [0, -5, 4, 7];
+const DEFAULT_AUDIO_SETTINGS = {
+    masterVolume: 1,
+    sfxVolume: 1,
+    muted: false,
+    elementPitch: false,
+};
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+let AUDIO_SETTINGS = loadAudioSettings();
+let AUDIO_CONTEXT = null;
+let MASTER_GAIN;
+let SFX_GAIN;
+let GLYPH_SAMPLE = null;
+let BLAST_SAMPLE = null;
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/// ------------------------------------------------------------------------------------------------
+/// Mixer
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Builds the audio graph and decodes the samples up front, so that cues play on time even when they overlap.
+ * Each cue is routed through the SFX gain, then the master gain.
+ */
+function initAudio() {
+    let AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+        console.warn("Web Audio is not supported, so the sound cues are disabled.");
+        return;
+    }
+    let audio = new AudioContextClass();
+    AUDIO_CONTEXT = audio;
+    MASTER_GAIN = audio.createGain();
+    MASTER_GAIN.connect(audio.destination);
+    SFX_GAIN = audio.createGain();
+    SFX_GAIN.connect(MASTER_GAIN);
+    applyAudioSettings();
+    loadSample(audio, GLYPH_SFX_URL).then(b => GLYPH_SAMPLE = b);
+    loadSample(audio, BLAST_SFX_URL).then(b => BLAST_SAMPLE = b);
+    // Browsers keep audio suspended until the user interacts with the page.
+    let resume = () => {
+        if (audio.state == "suspended") {
+            audio.resume();
+        }
+    };
+    document.addEventListener('pointerdown', resume);
+    document.addEventListener('keydown', resume);
+}
+/**
+ * Downloads and decodes a sample.
+ *
+ * @param audio               The audio context to decode the sample for.
+ * @param url                 The location of the sample.
+ * @returns the decoded sample, or null if it couldn't be loaded.
+ */
+function loadSample(audio, url) {
+    return fetch(url)
+        .then(response => response.arrayBuffer())
+        // The callback form of decodeAudioData is the one older Safari versions support.
+        .then(data => new Promise((resolve, reject) => audio.decodeAudioData(data, resolve, reject)))
+        .catch(e => {
+        console.warn(`Could not load the sound ${url}.`, e);
+        return null;
+    });
+}
+/**
+ * Plays a sample immediately. Every call gets its own source, so overlapping cues never cut each other off.
+ *
+ * @param sample              The decoded sample to play.
+ * @param semitones           The number of semitones to shift the pitch by.
+ */
+function playSample(sample, semitones = 0) {
+    if (!AUDIO_CONTEXT || !sample || AUDIO_SETTINGS.muted) {
+        return;
+    }
+    let source = AUDIO_CONTEXT.createBufferSource();
+    source.buffer = sample;
+    source.playbackRate.value = Math.pow(2, semitones / 12);
+    source.connect(SFX_GAIN);
+    source.start(AUDIO_CONTEXT.currentTime);
+}
+/**
+ * Plays the cue for a glyph activating.
+ *
+ * @param element             The element of the glyph.
+ */
+function playGlyphCue(element) {
+    playSample(GLYPH_SAMPLE, AUDIO_SETTINGS.elementPitch ? ELEMENT_SEMITONES[element] : 0);
+}
+/**
+ * Plays the cue for a memory blast.
+ */
+function playBlastCue() {
+    playSample(BLAST_SAMPLE);
+}
+/// ------------------------------------------------------------------------------------------------
+/// Settings
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Reads the saved sound preferences.
+ *
+ * @returns the saved preferences, or the defaults if there are none or they can't be read.
+ */
+function loadAudioSettings() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(AUDIO_STORAGE_KEY) || "null");
+        if (saved) {
+            return Object.assign(Object.assign({}, DEFAULT_AUDIO_SETTINGS), saved);
+        }
+    }
+    catch (e) {
+        console.warn("Could not read the sound settings.", e);
+    }
+    return Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+}
+/**
+ * Saves the sound preferences.
+ */
+function storeAudioSettings() {
+    try {
+        localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify(AUDIO_SETTINGS));
+    }
+    catch (e) {
+        console.warn("Could not save the sound settings.", e);
+    }
+}
+/**
+ * Sets the mixer gains from the current preferences.
+ */
+function applyAudioSettings() {
+    if (!AUDIO_CONTEXT) {
+        return;
+    }
+    MASTER_GAIN.gain.setValueAtTime(AUDIO_SETTINGS.muted ? 0 : AUDIO_SETTINGS.masterVolume, AUDIO_CONTEXT.currentTime);
+    SFX_GAIN.gain.setValueAtTime(AUDIO_SETTINGS.sfxVolume, AUDIO_CONTEXT.currentTime);
+}
+/**
+ * Sets the sound controls to the current preferences.
+ */
+function writeAudioSettings() {
+    document.getElementById("mv").value = String(Math.round(AUDIO_SETTINGS.masterVolume * 100));
+    document.getElementById("sv").value = String(Math.round(AUDIO_SETTINGS.sfxVolume * 100));
+    document.getElementById("mu").checked = AUDIO_SETTINGS.muted;
+    document.getElementById("ep").checked = AUDIO_SETTINGS.elementPitch;
+}
+/**
+ * Callback for the sound controls. Applies and saves the new preferences.
+ */
+function readAudioSettings() {
+    AUDIO_SETTINGS = {
+        masterVolume: clamp(Number(document.getElementById("mv").value) / 100, 0, 1),
+        sfxVolume: clamp(Number(document.getElementById("sv").value) / 100, 0, 1),
+        muted: document.getElementById("mu").checked,
+        elementPitch: document.getElementById("ep").checked,
+    };
+    applyAudioSettings();
+    storeAudioSettings();
+}
+/**
+ * Toggles whether sound is muted.
+ */
+function toggleMute() {
+    AUDIO_SETTINGS.muted = !AUDIO_SETTINGS.muted;
+    writeAudioSettings();
+    applyAudioSettings();
+    storeAudioSettings();
+}
@@ -0,0 +1,164 @@
+/// ================================================================================================
+/// Engine Checks
+/// ================================================================================================
+// Checks the rules of the memory blast against the headless engine, without the UI.
+// Run with `node checks.js` from this directory once the scripts are compiled.
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const ENGINE_CHECKS = [
+    {
+        name: "normal timing lights each glyph for 2 ticks, then blasts every 3 ticks after a 2 tick cooldown",
+        run: () => {
+            let engine = loadCheckPattern("F-S-L-I", false);
+            let E = EventType;
+            expectEqual(engine.sequence, [
+                E.Empty, E.Empty,
+                E.FireGlyphActive, E.Reset, E.ShadowGlyphActive, E.Reset, E.LightningGlyphActive, E.Reset, E.IceGlyphActive, E.Reset,
+                E.Empty, E.Empty,
+                E.FireQuadrantStage1, E.FireQuadrantStage2, E.FireQuadrantStage2,
+                E.ShadowQuadrantStage1, E.ShadowQuadrantStage2, E.ShadowQuadrantStage2,
+                E.LightningQuadrantStage1, E.LightningQuadrantStage2, E.LightningQuadrantStage2,
+                E.IceQuadrantStage1, E.IceQuadrantStage2, E.IceQuadrantStage2,
+                E.End,
+            ], "sequence");
+        },
+    },
+    {
+        name: "Feeling Special cuts the final glyph and the cooldown short, then blasts every 2 ticks",
+        run: () => {
+            let engine = loadCheckPattern("F-S-L-I", true);
+            let E = EventType;
+            expectEqual(engine.sequence, [
+                E.Empty, E.Empty,
+                E.FireGlyphActive, E.Reset, E.ShadowGlyphActive, E.Reset, E.LightningGlyphActive, E.Reset, E.IceGlyphActive,
+                E.Empty,
+                E.FireQuadrantStage1, E.FireQuadrantStage2,
+                E.ShadowQuadrantStage1, E.ShadowQuadrantStage2,
+                E.LightningQuadrantStage1, E.LightningQuadrantStage2,
+                E.IceQuadrantStage1, E.IceQuadrantStage2,
+                E.End,
+            ], "sequence");
+        },
+    },
+    {
+        name: "each blast resolves on its Stage1 tick, and the HUD phase counts down to it",
+        run: () => {
+            let normal = loadCheckPattern("F-S-L-I", false);
+            let special = loadCheckPattern("F-S-L-I", true);
+            expectEqual(blastTicks(normal), [12, 15, 18, 21], "normal blast ticks");
+            expectEqual(blastTicks(special), [10, 12, 14, 16], "Feeling Special blast ticks");
+            expectEqual(sequencePhase(normal.sequence, -1), { name: "ready", blastsResolved: 0, numBlasts: 4, ticksToBlast: 13 }, "phase before the first tick");
+            expectEqual(sequencePhase(normal.sequence, 5).name, "memorize", "phase while the glyphs light up");
+            expectEqual(sequencePhase(normal.sequence, 10).name, "cooldown", "phase after the final glyph");
+            expectEqual(sequencePhase(special.sequence, 12), { name: "blast", blastsResolved: 2, numBlasts: 4, ticksToBlast: 2 }, "phase on the second blast");
+        },
+    },
+    {
+        name: "a player who stays in one quadrant passes only the blasts that quadrant is safe from",
+        run: () => {
+            // The player starts in the Lightning quadrant, and never clicks.
+            for (const feelingSpecial of [false, true]) {
+                let engine = loadCheckPattern("L-S-L-I-L", feelingSpecial);
+                let results = [];
+                let result;
+                while ((result = engine.step()) !== null) {
+                    if (result.passedBlast !== null) {
+                        results.push(result.passedBlast);
+                    }
+                }
+                expectEqual(results, [true, false, true, false, true], "blast results");
+                expectEqual(engine.glyphsPassed, 3, "glyphs passed");
+                expectEqual(engine.blasts.map(b => ELEMENT_NAMES[b.element]), ["Lightning", "Shadow", "Lightning", "Ice", "Lightning"], "blast elements");
+            }
+        },
+    },
+    {
+        name: "a teammate's orb landing on the player's orb on the same tick isn't counted again when the player tanks it",
+        run: () => {
+            let engine = new AkkhaEngine();
+            engine.loadPattern(Object.assign(Object.assign({}, DEFAULT_SETTINGS), { doubleTrouble: true, teammateSkills: [100] }), parsePattern("F-S-L-I"));
+            // The player and the teammate both leave (5,10) on the first tick, each spawning an orb behind them.
+            engine.player = new Point(5, 10);
+            engine.path = [new Point(6, 10)];
+            engine.teammates[0].pos = new Point(5, 10);
+            engine.teammates[0].path = [new Point(5, 11)];
+            engine.step();
+            expectEqual(engine.orbsSpawned, 1, "orbs spawned after the first tick");
+            expectEqual(engine.orbs.get(new Point(5, 10).toKey()).byTeammate, false, "whether the orb on (5,10) is the teammate's");
+            // Stepping back onto it spawns another orb on (6,10), and tanks the one on (5,10).
+            let result = engine.step(new Point(5, 10));
+            expectEqual(result.tankedOrb, true, "whether the orb was tanked");
+            expectEqual(result.orbsSpawned, 1, "orbs spawned on the second tick");
+            expectEqual([engine.orbsSpawned, engine.orbsTanked], [2, 1], "orbs spawned and tanked");
+        },
+    },
+];
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/**
+ * Loads a pattern into a new engine with the default settings.
+ *
+ * @param text                The pattern, written like "F-S-L-I".
+ * @param feelingSpecial      Whether to play it with the Feeling Special timing.
+ */
+function loadCheckPattern(text, feelingSpecial) {
+    let pattern = parsePattern(text);
+    if (pattern === null || !isValidPattern(pattern)) {
+        throw new Error(`${text} is not a valid pattern.`);
+    }
+    let engine = new AkkhaEngine();
+    engine.loadPattern(Object.assign(Object.assign({}, DEFAULT_SETTINGS), { feelingSpecial: feelingSpecial }), pattern);
+    return engine;
+}
+/**
+ * Returns the ticks that blasts resolve on.
+ *
+ * @param engine              The engine with the sequence to look through.
+ */
+function blastTicks(engine) {
+    let ticks = [];
+    engine.sequence.forEach((event, tick) => {
+        if (isBlastEvent(event)) {
+            ticks.push(tick);
+        }
+    });
+    return ticks;
+}
+/**
+ * Throws unless two values serialize to the same JSON.
+ *
+ * @param actual              The value the engine produced.
+ * @param expected            The value the rules call for.
+ * @param what                What the value is, for the error message.
+ */
+function expectEqual(actual, expected, what) {
+    if (JSON.stringify(actual) != JSON.stringify(expected)) {
+        throw new Error(`Expected ${what} to be ${JSON.stringify(expected)}, but got ${JSON.stringify(actual)}.`);
+    }
+}
+/**
+ * Runs every check, and reports each that fails.
+ *
+ * @returns the number of checks that failed.
+ */
+function runEngineChecks() {
+    let failures = 0;
+    for (const check of ENGINE_CHECKS) {
+        try {
+            check.run();
+            console.log(`ok: ${check.name}`);
+        }
+        catch (e) {
+            failures += 1;
+            console.log(`FAILED: ${check.name}\n    ${e instanceof Error ? e.message : e}`);
+        }
+    }
+    return failures;
+}
+// The engine is written as a browser script, so make its exports globals here as they are on the page.
+Object.assign(globalThis, require("./engine.js"));
+if (runEngineChecks() > 0) {
+    process.exitCode = 1;
+}
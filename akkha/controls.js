@@ -0,0 +1,142 @@
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+/** The direction each movement key moves the player in, as [dx, dy]. Matched against KeyboardEvent.code. */
+const MOVE_KEYS = {
+    "ArrowUp": [0, -1], "KeyW": [0, -1], "Numpad8": [0, -1],
+    "ArrowDown": [0, 1], "KeyS": [0, 1], "Numpad2": [0, 1],
+    "ArrowLeft": [-1, 0], "KeyA": [-1, 0], "Numpad4": [-1, 0],
+    "ArrowRight": [1, 0], "KeyD": [1, 0], "Numpad6": [1, 0],
+    "KeyQ": [-1, -1], "Numpad7": [-1, -1],
+    "KeyE": [1, -1], "Numpad9": [1, -1],
+    "KeyZ": [-1, 1], "Numpad1": [-1, 1],
+    "KeyC": [1, 1], "Numpad3": [1, 1],
+    "Numpad5": [0, 0],
+};
+/** The tile each quadrant hotkey moves to, just outside that quadrant's glyph. Indexed by ElementType. */
+const QUADRANT_HOTKEY_TILES = [new Point(7, 7), new Point(12, 7), new Point(7, 12), new Point(12, 12)];
+const QUADRANT_HOTKEYS = ["Digit1", "Digit2", "Digit3", "Digit4"];
+/** How far a stick has to be pushed before it counts as a direction. */
+const GAMEPAD_DEADZONE = 0.5;
+// Buttons in the standard gamepad mapping.
+const GAMEPAD_A = 0;
+const GAMEPAD_B = 1;
+const GAMEPAD_X = 2;
+const GAMEPAD_Y = 3;
+const GAMEPAD_RIGHT_BUMPER = 5;
+const GAMEPAD_START = 9;
+const GAMEPAD_DPAD_UP = 12;
+const GAMEPAD_DPAD_DOWN = 13;
+const GAMEPAD_DPAD_LEFT = 14;
+const GAMEPAD_DPAD_RIGHT = 15;
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+/** The buttons held on each gamepad when it was last polled, so that a press only triggers once. */
+let GAMEPAD_BUTTONS = [];
+let GAMEPAD_FRAME = 0;
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/// ------------------------------------------------------------------------------------------------
+/// Keyboard
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Callback for keydown events on the arena. Moves the player with the arrow keys, WASD (plus Q, E, Z and C for
+ * diagonals) or the numpad. Holding Shift moves 2 tiles, as far as the player can run in a tick.
+ * The number keys move to each quadrant.
+ *
+ * @param event               The keydown event.
+ */
+function onArenaKeyDown(event) {
+    if (IS_REPLAYING || isRecalling() || event.ctrlKey || event.altKey || event.metaKey) {
+        return;
+    }
+    let direction = MOVE_KEYS[event.code];
+    let quadrant = QUADRANT_HOTKEYS.indexOf(event.code);
+    if (direction) {
+        queueMove(direction, event.shiftKey ? 2 : 1);
+    }
+    else if (quadrant != -1) {
+        let tile = QUADRANT_HOTKEY_TILES[quadrant];
+        CLICK_TARGET = new Point(tile.x, tile.y);
+    }
+    else {
+        return;
+    }
+    // Keep the arrow keys from scrolling the page, and the letters from reaching the other hotkeys.
+    event.preventDefault();
+    event.stopPropagation();
+}
+/**
+ * Sets the player's target to a tile near them. The engine picks it up on the next tick, just like a click.
+ *
+ * @param direction           The direction to move in, as [dx, dy].
+ * @param distance            The number of tiles to move.
+ */
+function queueMove(direction, distance) {
+    let x = clamp(ENGINE.player.x + direction[0] * distance, 0, ARENA_SIZE - 1);
+    let y = clamp(ENGINE.player.y + direction[1] * distance, 0, ARENA_SIZE - 1);
+    CLICK_TARGET = new Point(x, y);
+}
+/// ------------------------------------------------------------------------------------------------
+/// Gamepad
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Callback for gamepadconnected events. Starts polling, since gamepads don't fire events for their input.
+ */
+window.addEventListener('gamepadconnected', function () {
+    if (!GAMEPAD_FRAME) {
+        GAMEPAD_FRAME = requestAnimationFrame(pollGamepads);
+    }
+});
+/**
+ * Reads every connected gamepad once per frame. The left stick or d-pad moves the player, 2 tiles while the
+ * right bumper is held. A or Start starts and pauses, B toggles running, X restarts and Y starts a new pattern.
+ */
+function pollGamepads() {
+    let pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    let connected = pads.filter((p) => p !== null && p.connected);
+    if (connected.length == 0) {
+        GAMEPAD_FRAME = 0;
+        GAMEPAD_BUTTONS = [];
+        return;
+    }
+    let direction = [0, 0];
+    let distance = 1;
+    for (const pad of connected) {
+        let held = pad.buttons.map(b => b.pressed);
+        let before = GAMEPAD_BUTTONS[pad.index] || [];
+        let pressed = (button) => held[button] && !before[button];
+        GAMEPAD_BUTTONS[pad.index] = held;
+        if (pressed(GAMEPAD_A) || pressed(GAMEPAD_START)) {
+            togglePause();
+        }
+        else if (pressed(GAMEPAD_B)) {
+            toggleRun();
+        }
+        else if (pressed(GAMEPAD_X)) {
+            restart();
+        }
+        else if (pressed(GAMEPAD_Y)) {
+            newPattern();
+        }
+        let dx = (held[GAMEPAD_DPAD_RIGHT] ? 1 : 0) - (held[GAMEPAD_DPAD_LEFT] ? 1 : 0);
+        let dy = (held[GAMEPAD_DPAD_DOWN] ? 1 : 0) - (held[GAMEPAD_DPAD_UP] ? 1 : 0);
+        if (pad.axes.length >= 2) {
+            dx = dx || (Math.abs(pad.axes[0]) > GAMEPAD_DEADZONE ? Math.sign(pad.axes[0]) : 0);
+            dy = dy || (Math.abs(pad.axes[1]) > GAMEPAD_DEADZONE ? Math.sign(pad.axes[1]) : 0);
+        }
+        if (dx || dy) {
+            direction = [dx, dy];
+        }
+        if (held[GAMEPAD_RIGHT_BUMPER]) {
+            distance = 2;
+        }
+    }
+    // Holding a direction keeps moving the player, one step ahead of wherever they are on each tick.
+    if ((direction[0] || direction[1]) && !IS_REPLAYING && !isRecalling()) {
+        queueMove(direction, distance);
+    }
+    GAMEPAD_FRAME = requestAnimationFrame(pollGamepads);
+}
@@ -0,0 +1,188 @@
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+
+/** The pattern being built in the editor. */
+let EDITOR_PATTERN: EventType[] = [];
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/// ------------------------------------------------------------------------------------------------
+/// Panel
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Shows or hides the pattern editor. Opening it starts from the current pattern, so it can be tweaked.
+ */
+function toggleEditor() {
+    let panel = document.getElementById("editor");
+    if (!panel) {
+        return;
+    }
+
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) {
+        EDITOR_PATTERN = ENGINE.pattern.slice();
+        renderEditor();
+    }
+}
+
+/**
+ * Determines whether the pattern editor is open. While it is, clicking a glyph on the arena adds it to the pattern.
+ */
+function isEditing(): boolean {
+    let panel = document.getElementById("editor");
+    return panel !== null && !panel.hidden;
+}
+
+/**
+ * Shows the pattern being built, which glyphs may come next, and an optional message.
+ *
+ * @param message             Explains the last action, e.g. why a glyph was rejected.
+ */
+function renderEditor(message = "") {
+    let last = EDITOR_PATTERN.length > 0 ? EDITOR_PATTERN[EDITOR_PATTERN.length - 1] : EventType.Empty;
+    let next = validNextGlyphs(last).map(g => ELEMENT_NAMES[glyphElement(g)]).join(", ");
+
+    (document.getElementById("editor-pattern") as HTMLElement).textContent =
+        EDITOR_PATTERN.length > 0 ? `${formatPattern(EDITOR_PATTERN)} (${EDITOR_PATTERN.length} glyphs)` : "Empty";
+    (document.getElementById("editor-next") as HTMLElement).textContent = `Next glyph can be: ${next}`;
+    (document.getElementById("editor-message") as HTMLElement).textContent = message;
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Editing
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Adds a glyph to the end of the pattern, unless the rules for generated patterns forbid it.
+ *
+ * @param element             The element of the glyph to add.
+ */
+function addEditorGlyph(element: ElementType) {
+    let glyph = GLYPH_EVENTS[element];
+    let last = EDITOR_PATTERN.length > 0 ? EDITOR_PATTERN[EDITOR_PATTERN.length - 1] : EventType.Empty;
+    let reason = explainInvalidGlyph(last, glyph);
+    if (reason) {
+        renderEditor(reason);
+        return;
+    }
+    if (EDITOR_PATTERN.length >= MAX_SCENARIO_GLYPHS) {
+        renderEditor(`A pattern can have at most ${MAX_SCENARIO_GLYPHS} glyphs.`);
+        return;
+    }
+
+    EDITOR_PATTERN.push(glyph);
+    renderEditor();
+}
+
+/**
+ * Removes the last glyph from the pattern.
+ */
+function undoEditorGlyph() {
+    EDITOR_PATTERN.pop();
+    renderEditor();
+}
+
+/**
+ * Removes every glyph from the pattern.
+ */
+function clearEditor() {
+    EDITOR_PATTERN = [];
+    renderEditor();
+}
+
+/**
+ * Plays the pattern with the current settings and scenario. Restart plays it again, and New Pattern goes back to
+ * random ones.
+ */
+function playEditorPattern() {
+    if (!isValidPattern(EDITOR_PATTERN)) {
+        renderEditor("Add at least one glyph first.");
+        return;
+    }
+    if (EDITOR_PATTERN.length > MAX_SCENARIO_GLYPHS) {
+        renderEditor(`A pattern can have at most ${MAX_SCENARIO_GLYPHS} glyphs, but this one has ${EDITOR_PATTERN.length}.`);
+        return;
+    }
+
+    // A scenario laid out tick by tick lights up a set number of glyphs, so the pattern has to have as many.
+    let scenario = selectedScenario();
+    let numScenarioGlyphs = scenario && scenario.ticks ? scenarioGlyphCount(scenario.ticks) : EDITOR_PATTERN.length;
+    if (numScenarioGlyphs != EDITOR_PATTERN.length) {
+        renderEditor(`The scenario "${scenario!.name}" has ${numScenarioGlyphs} glyphs, but the pattern has ${EDITOR_PATTERN.length}.`);
+        return;
+    }
+
+    resetVars();
+    let settings = scenario ? { ...readSettings(), ...scenario.settings } : readSettings();
+    ENGINE.loadPattern(settings, EDITOR_PATTERN, 0, scenario);
+    // Recall quizzes have no blasts to pass, so their glyphs are kept out of the stats, as in generate().
+    if (!ENGINE.settings.recallQuiz) {
+        TOTAL_NUM_ACTIVE_GLYPHS += ENGINE.settings.numActiveGlyphs;
+    }
+    saveLink(scenario ? (document.getElementById("scenario") as HTMLSelectElement).value : "");
+    start();
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Import / Export
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Replaces the pattern with the one typed into the text box, e.g. "F-S-L-I-F".
+ * Nothing changes if the text isn't a valid pattern, and the message says which glyph is wrong.
+ */
+function importPattern() {
+    let text = (document.getElementById("editor-text") as HTMLInputElement).value;
+    let pattern = parsePattern(text);
+    if (pattern === null) {
+        renderEditor(`Couldn't read "${text}". Write the glyphs as F, S, I and L separated by dashes, e.g. F-S-L-I-F.`);
+        return;
+    }
+
+    let last = EventType.Empty;
+    for (let i = 0; i < pattern.length; i++) {
+        let reason = explainInvalidGlyph(last, pattern[i]);
+        if (reason) {
+            renderEditor(`Glyph ${i + 1}: ${reason}`);
+            return;
+        }
+        last = pattern[i];
+    }
+
+    if (pattern.length > MAX_SCENARIO_GLYPHS) {
+        renderEditor(`A pattern can have at most ${MAX_SCENARIO_GLYPHS} glyphs, but "${text}" has ${pattern.length}.`);
+        return;
+    }
+
+    EDITOR_PATTERN = pattern;
+    renderEditor(`Imported ${pattern.length} glyphs.`);
+}
+
+/**
+ * Writes the pattern into the text box as text, and copies it to the clipboard.
+ * If the clipboard can't be written to, the text is selected instead so that it can be copied by hand.
+ */
+function exportPattern() {
+    let text = formatPattern(EDITOR_PATTERN);
+    let textInput = document.getElementById("editor-text") as HTMLInputElement;
+    textInput.value = text;
+    if (!text) {
+        renderEditor();
+        return;
+    }
+
+    let copyByHand = () => {
+        textInput.focus();
+        textInput.select();
+        renderEditor("Couldn't copy the pattern. It is selected in the text box, so copy it from there.");
+    };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(text).then(() => renderEditor("Copied the pattern."), copyByHand);
+    } else {
+        copyByHand();
+    }
+}
@@ -0,0 +1,1839 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+
+/**
+ * Represents a coordinate on the 2d game arena, where each unit is a tile from the origin.
+ * The origin is the top-left corner of the arena.
+ * As x increases, the position is further right. As y increases, the position is further down.
+ */
+class Point {
+    /** The x-coordinate of the point. */
+    x: number;
+    /** The y-coordinate of the point. */
+    y: number;
+
+    /** Constructs a Point from x and y coordinates. */
+    constructor(x: number, y: number) {
+        this.x = x;
+        this.y = y;
+    }
+
+    /** Indicates whether two points share the same position. */
+    equals(other: Point) {
+        return (this.x == other.x) && (this.y == other.y);
+    }
+
+    /** Converts to string for use in Map as key. */
+    toKey() {
+        return `Point(${this.x},${this.y})`;
+    }
+
+    /** Returns a Point from its key string representation. */
+    static fromKey(keyString: string): Point {
+        let i = keyString.indexOf(",");
+        let x = Number(keyString.slice(6, i));
+        let y = Number(keyString.slice(i+1, -1));
+        return new Point(x, y);
+    }
+}
+
+/**
+ * Represents a magical orb as part of Akkha's special attack, Trailing Orbs.
+ */
+class MagicalOrb {
+    /** The position of the magical orb. */
+    pos: Point;
+    /** The element of the quadrant the magical orb spawned in. */
+    element: ElementType;
+    /** The game tick on which the magical orb was created. Orbs should deactivate after 6 ticks. */
+    spawnTick: number;
+    /** Whether a teammate spawned the magical orb, rather than the player. */
+    byTeammate: boolean;
+
+    constructor(pos: Point, element: ElementType, spawnTick: number, byTeammate = false) {
+        this.pos = pos;
+        this.element = element;
+        this.spawnTick = spawnTick;
+        this.byTeammate = byTeammate;
+    }
+}
+
+/**
+ * A simulated raid teammate. Heads to a quadrant for each blast and, with Double Trouble, spawns magical orbs
+ * behind them just like the player does.
+ */
+class Teammate {
+    /** The position of the teammate. */
+    pos: Point;
+    /** The tile the teammate is heading to. */
+    target: Point;
+    /** The tiles the teammate still has to step through to reach the target, in order. */
+    path: Point[];
+    /** How often the teammate picks the right spot, from 0 (never) to 100 (always). */
+    skill: number;
+
+    constructor(pos: Point, skill: number) {
+        this.pos = pos;
+        this.target = pos;
+        this.path = [];
+        this.skill = skill;
+    }
+}
+
+/**
+ * Enumerates the different types of events that happen during the memory blast.
+ */
+enum EventType {
+    /** No event. */
+    Empty,
+    /** Reset arena state to default. */
+    Reset,
+    /** Ends the game. */
+    End,
+    /** Glyphs active. */
+    FireGlyphActive,
+    ShadowGlyphActive,
+    IceGlyphActive,
+    LightningGlyphActive,
+    /** Quadrants active. */
+    /** Subsequent stages describe the wave passing through the quadrant. */
+    FireQuadrantStage1, FireQuadrantStage2,
+    ShadowQuadrantStage1, ShadowQuadrantStage2,
+    IceQuadrantStage1, IceQuadrantStage2,
+    LightningQuadrantStage1, LightningQuadrantStage2,
+}
+
+/**
+ * Enumerates the elements in the memory blast.
+ */
+enum ElementType { Fire, Shadow, Ice, Lightning }
+
+/**
+ * The user configuration that a memory blast is generated from.
+ */
+interface EngineSettings {
+    /** Whether moving spawns magical orbs. */
+    doubleTrouble: boolean;
+    /** Whether the memory blast is sped up. */
+    feelingSpecial: boolean;
+    /** The number of glyphs that activate in the sequence. */
+    numActiveGlyphs: number;
+    /** The damage taken when standing in an active quadrant. */
+    blastDamage: number;
+    /** The damage taken when stepping on a magical orb. */
+    orbDamage: number;
+    /** Whether the run ends when the player's hitpoints reach 0. */
+    deathEndsRun: boolean;
+    /** Whether the glyph tiles block movement. */
+    solidGlyphs: boolean;
+    /** Whether patterns are biased toward the player's recent mistakes. */
+    adaptive: boolean;
+    /** Whether the run ends after the glyphs light up, so the player can enter the pattern instead of dodging blasts. */
+    recallQuiz: boolean;
+    /** The player's carried weight in kg, which increases run energy drain. */
+    weight: number;
+    /** The player's Agility level, which increases run energy regeneration and decreases drain. */
+    agility: number;
+    /** The run energy at the start of a run, as a percentage. */
+    startRunEnergy: number;
+    /** The skill of each bot teammate, from 0 to 100. There are as many teammates as skills, up to MAX_TEAMMATES. */
+    teammateSkills: number[];
+}
+
+/**
+ * Relative weights for choosing each glyph when generating a pattern. Larger weights are picked more often.
+ */
+interface AdaptiveWeights {
+    /** The weight of each glyph given the glyph before it, indexed by [previous ElementType][ElementType]. */
+    transitions: number[][];
+    /** The weight of each glyph at each index in the pattern, indexed by [position][ElementType]. */
+    positions: number[][];
+}
+
+/**
+ * A magical orb in a form that survives JSON serialization.
+ */
+interface OrbSnapshot {
+    x: number;
+    y: number;
+    element: ElementType;
+    spawnTick: number;
+    /** Missing from snapshots taken before teammates were added. */
+    byTeammate?: boolean;
+}
+
+/**
+ * A bot teammate in a form that survives JSON serialization.
+ */
+interface TeammateSnapshot {
+    x: number;
+    y: number;
+    target: { x: number, y: number };
+    path: { x: number, y: number }[];
+    skill: number;
+}
+
+/**
+ * The outcome of a single glyph's memory blast.
+ */
+interface BlastResult {
+    /** The index of the glyph in the pattern. */
+    position: number;
+    /** The element of the glyph, whose quadrant is the safe one. */
+    element: ElementType;
+    /** The element of the glyph before it in the pattern, or null for the first glyph. */
+    previous: ElementType | null;
+    /** Whether the player was in the safe quadrant. */
+    passed: boolean;
+}
+
+/**
+ * The full state of an engine in a form that survives JSON serialization.
+ */
+interface EngineSnapshot {
+    settings: EngineSettings;
+    seed: number;
+    tick: number;
+    pattern: EventType[];
+    sequence: EventType[];
+    concurrent: EventType[][];
+    player: { x: number, y: number };
+    target: { x: number, y: number };
+    path: { x: number, y: number }[];
+    orbs: OrbSnapshot[];
+    teammates: TeammateSnapshot[];
+    teammateBlast: number;
+    /** Whether each glyph is active, indexed by ElementType. */
+    glyphsActive: boolean[];
+    /** Whether each quadrant is active, indexed by ElementType. */
+    quadrantsActive: boolean[];
+    glyphsPassed: number;
+    blasts: BlastResult[];
+    orbsTanked: number;
+    orbsSpawned: number;
+    hitpoints: number;
+    damageTaken: number;
+    isDead: boolean;
+    isRunning: boolean;
+    runEnergy: number;
+}
+
+/**
+ * Where a tick falls in the memory blast.
+ */
+interface SequencePhase {
+    /**
+     * "ready" before the first glyph, "memorize" while the glyphs light up, "cooldown" until the first blast,
+     * "blast" once the blasts begin, and "done" once the memory blast has ended.
+     */
+    name: "ready" | "memorize" | "cooldown" | "blast" | "done";
+    /** The number of blasts resolved so far, including any on this tick. */
+    blastsResolved: number;
+    numBlasts: number;
+    /** The number of ticks until the next blast resolves, or null if there are none left. */
+    ticksToBlast: number | null;
+}
+
+/**
+ * The outcome of advancing the engine by one game tick.
+ */
+interface StepResult {
+    /** The game tick that was played out. */
+    tick: number;
+    /** The SEQUENCE event played out on the tick. */
+    event: EventType;
+    /** Every event played out on the tick, in order: those overlapping the SEQUENCE event, then the event itself. */
+    events: EventType[];
+    /** Whether the player passed the blast resolved on the tick, or null if no blast resolved. */
+    passedBlast: boolean | null;
+    /** The details of the blast resolved on the tick, or null if no blast resolved. */
+    blast: BlastResult | null;
+    /** Whether the player tanked a magical orb on the tick. */
+    tankedOrb: boolean;
+    /** The number of magical orbs the player spawned on the tick, plus any teammate orb they tanked. */
+    orbsSpawned: number;
+    /** Whether the player was hit by the memory blast on the tick. */
+    hitByBlast: boolean;
+    /** The total damage taken on the tick. */
+    damage: number;
+    /** Whether the player died on the tick. */
+    died: boolean;
+}
+
+/**
+ * A drill, as stored in a versioned JSON scenario file. Describes how each tick of the memory blast plays out,
+ * either with a timing that fits any number of glyphs or tick by tick, plus any settings the drill needs.
+ *
+ * For example, a drill where the first blast goes off on the same tick as the final glyph:
+ *
+ *     {
+ *         "version": 1,
+ *         "name": "Overlapping blast",
+ *         "settings": { "feelingSpecial": true },
+ *         "pattern": "F-S-L-I",
+ *         "ticks": [ [], [], "glyph 1", "reset", "glyph 2", "reset", "glyph 3", "reset",
+ *                    ["glyph 4", "blast 1"], ["reset", "wave 1"], "blast 2", "wave 2", "blast 3", "wave 3", "blast 4", "wave 4" ]
+ *     }
+ */
+interface Scenario {
+    /** The version of the format. Must be SCENARIO_VERSION. */
+    version: number;
+    name: string;
+    description?: string;
+    /** Settings the drill overrides, within SCENARIO_SETTING_RANGES. The rest are taken from the settings controls. */
+    settings?: Partial<EngineSettings>;
+    /** A fixed pattern, written like "F-S-L-I-F". If omitted, a pattern is rolled like any other. */
+    pattern?: string;
+    /** A timing that builds the ticks for any number of glyphs. Exactly one of timing and ticks is given. */
+    timing?: ScenarioTiming;
+    /**
+     * The events played out on each tick, either a single event or a list of events that happen together.
+     * Events are "empty", "reset", "glyph N" (the Nth glyph of the pattern lights up), "blast N" (the blast
+     * that the Nth glyph's quadrant is safe from) and "wave N" (the blast wave passing, after blast N).
+     * The run ends after the last tick.
+     */
+    ticks?: (string | string[])[];
+}
+
+/**
+ * How long each part of the memory blast lasts, in ticks. Each is at most MAX_SCENARIO_TIMING_TICKS.
+ */
+interface ScenarioTiming {
+    /** The empty ticks before the first glyph lights up. */
+    leadIn: number;
+    /** The ticks each glyph stays lit, including the tick it resets on. */
+    glyphTicks: number;
+    /** The ticks the final glyph stays lit. */
+    finalGlyphTicks: number;
+    /** The empty ticks between the final glyph and the first blast. Negative to overlap the blast with the final glyph. */
+    cooldown: number;
+    /** The ticks each blast lasts, including the ticks its wave passes on. */
+    blastTicks: number;
+}
+
+/**
+ * The outcome of reading a scenario file.
+ */
+interface ScenarioLoadResult {
+    /** The scenario, or null if it was invalid. */
+    scenario: Scenario | null;
+    /** Everything wrong with the scenario, each as a sentence. */
+    errors: string[];
+}
+
+/**
+ * Simulates a memory blast, independently of any canvas or document.
+ *
+ * Call generate() to roll a pattern, then step() once per game tick until isFinished().
+ * The renderer and the controls only observe the engine through its fields and snapshot().
+ */
+class AkkhaEngine {
+    /** The settings the current pattern was generated with. */
+    settings: EngineSettings;
+    /** The seed the current pattern was generated from. */
+    seed: number;
+    /** The game tick that the next call to step() will play out. */
+    tick: number;
+    /** The ordering of the glyphs and nothing more. */
+    pattern: EventType[];
+    /** Exactly how each game tick is played out, given the ordering in pattern. */
+    sequence: EventType[];
+    /** The events played out just before the sequence event on the same tick, indexed by tick. Usually empty. */
+    concurrent: EventType[][];
+    /** The position of the player. */
+    player: Point;
+    /** The tile the player clicked. */
+    target: Point;
+    /** The tiles the player still has to step through to reach the target, in order. */
+    path: Point[];
+    /** The magical orbs on the arena, keyed by Point.toKey(). */
+    orbs: Map<string, MagicalOrb>;
+    /** The bot teammates, one for each of settings.teammateSkills. */
+    teammates: Teammate[];
+    /** The index of the blast the teammates last picked a spot for, or -1 before they have. */
+    teammateBlast: number;
+    /** Whether each glyph is active, indexed by ElementType. */
+    glyphsActive: boolean[];
+    /** Whether each quadrant is active, indexed by ElementType. */
+    quadrantsActive: boolean[];
+    /** The number of blasts passed in the current run. */
+    glyphsPassed: number;
+    /** The outcome of each blast resolved so far in the current run, in order. */
+    blasts: BlastResult[];
+    /** The number of magical orbs tanked in the current run. */
+    orbsTanked: number;
+    /** The number of magical orbs the player spawned in the current run, plus the teammate orbs they tanked. */
+    orbsSpawned: number;
+    /** The player's remaining hitpoints. */
+    hitpoints: number;
+    /** The total damage taken in the current run. */
+    damageTaken: number;
+    /** Whether the player has died, ending the run early. Only set when settings.deathEndsRun is enabled. */
+    isDead: boolean;
+    /** Whether the player runs 2 tiles per tick rather than walking 1. */
+    isRunning: boolean;
+    /** The player's run energy, from 0 to MAX_RUN_ENERGY. */
+    runEnergy: number;
+
+    constructor() {
+        this.settings = { ...DEFAULT_SETTINGS };
+        this.seed = 0;
+        this.tick = 0;
+        this.pattern = [];
+        this.sequence = [];
+        this.concurrent = [];
+        this.player = new Point(ORIGIN.x, ORIGIN.y);
+        this.target = new Point(ORIGIN.x, ORIGIN.y);
+        this.path = [];
+        this.orbs = new Map();
+        this.teammates = [];
+        this.teammateBlast = -1;
+        this.glyphsActive = [false, false, false, false];
+        this.quadrantsActive = [false, false, false, false];
+        this.glyphsPassed = 0;
+        this.blasts = [];
+        this.orbsTanked = 0;
+        this.orbsSpawned = 0;
+        this.hitpoints = MAX_HITPOINTS;
+        this.damageTaken = 0;
+        this.isDead = false;
+        this.isRunning = true;
+        this.runEnergy = MAX_RUN_ENERGY;
+    }
+
+    /**
+     * Indicates whether the sequence has been fully played out, or the player has died.
+     */
+    isFinished() {
+        return this.isDead || this.tick >= this.sequence.length;
+    }
+
+    /**
+     * Generates a random order in which glyphs will turn active, then resets the run.
+     *
+     * Populates pattern and sequence.
+     * - pattern contains the ordering the glyphs and nothing more.
+     * - sequence details exactly how each game tick is played out, given the ordering in pattern.
+     *
+     * @param settings            The settings to generate the pattern with.
+     * @param seed                The seed for the pattern. The same seed and settings always produce the same pattern.
+     *                            If omitted, a new seed is chosen at random.
+     * @param weights             If given, biases each glyph choice toward the heavier weighted glyphs.
+     * @param scenario            The timing to build the sequence with. Defaults to the normal or Feeling Special timing.
+     */
+    generate(settings: EngineSettings, seed: number = randSeed(), weights: AdaptiveWeights | null = null,
+            scenario: Scenario | null = null) {
+        let rng = mulberry32(seed);
+        let pattern: EventType[] = [];
+        let prevEvent: EventType = EventType.Empty;
+
+        for (let i = 0; i < settings.numActiveGlyphs; i++) {
+            let glyphEvent = randGlyphEvent(prevEvent, rng, weights, i);
+            pattern.push(glyphEvent);
+            prevEvent = glyphEvent;
+        }
+
+        this.loadPattern(settings, pattern, seed, scenario);
+    }
+
+    /**
+     * Sets up a scenario, then resets the run. Uses the scenario's own pattern if it has one, or rolls one otherwise.
+     *
+     * @param settings            The settings to play with. The scenario's settings take precedence.
+     * @param scenario            A scenario that passed validateScenario().
+     * @param seed                The seed for the pattern, if the scenario doesn't have one of its own.
+     * @param weights             If given, biases each glyph choice toward the heavier weighted glyphs.
+     */
+    loadScenario(settings: EngineSettings, scenario: Scenario, seed: number = randSeed(),
+            weights: AdaptiveWeights | null = null) {
+        settings = { ...settings, ...scenario.settings };
+        if (scenario.pattern !== undefined) {
+            this.loadPattern(settings, parsePattern(scenario.pattern)!, 0, scenario);
+            return;
+        }
+
+        let numActiveGlyphs = scenario.ticks ? scenarioGlyphCount(scenario.ticks) : settings.numActiveGlyphs;
+        this.generate({ ...settings, numActiveGlyphs: numActiveGlyphs }, seed, weights, scenario);
+    }
+
+    /**
+     * Uses the given order in which glyphs will turn active, then resets the run.
+     * The pattern is assumed to follow the rules checked by isValidPattern().
+     *
+     * @param settings            The settings to play the pattern with. numActiveGlyphs is taken from the pattern.
+     * @param pattern             The ordering of the glyphs.
+     * @param seed                The seed the pattern was generated from, if any.
+     * @param scenario            The timing to build the sequence with. Defaults to the normal or Feeling Special timing.
+     */
+    loadPattern(settings: EngineSettings, pattern: EventType[], seed: number = 0, scenario: Scenario | null = null) {
+        this.settings = { ...settings, numActiveGlyphs: pattern.length };
+        this.seed = seed;
+        this.pattern = pattern.slice();
+
+        let ticks = scenarioTicks(scenario || (settings.feelingSpecial ? FEELING_SPECIAL_SCENARIO : NORMAL_SCENARIO), pattern);
+
+        // In a recall quiz, the player enters the pattern after the glyphs light up instead of dodging blasts.
+        if (settings.recallQuiz) {
+            ticks = ticks.map(events => events.filter(e => !isQuadrantEvent(e)));
+            while (ticks.length > 0 && ticks[ticks.length - 1].length == 0) {
+                ticks.pop();
+            }
+        }
+
+        // Ends the game.
+        ticks.push([EventType.End]);
+
+        // The last event on each tick goes in the sequence, and any before it play out alongside it.
+        this.sequence = ticks.map(events => events.length > 0 ? events[events.length - 1] : EventType.Empty);
+        this.concurrent = ticks.map(events => events.slice(0, -1));
+
+        this.reset();
+    }
+
+    /**
+     * Resets the run to its initial state, keeping the current pattern.
+     * The run toggle is left as the player set it, unless there is no energy to run with.
+     */
+    reset() {
+        this.tick = 0;
+        this.player = new Point(ORIGIN.x, ORIGIN.y);
+        this.target = new Point(ORIGIN.x, ORIGIN.y);
+        this.path = [];
+        this.orbs.clear();
+        this.teammates = (this.settings.teammateSkills || []).slice(0, MAX_TEAMMATES).map((skill, i) =>
+            new Teammate(new Point(ORIGIN.x + TEAMMATE_START_OFFSETS[i].x, ORIGIN.y + TEAMMATE_START_OFFSETS[i].y), clamp(skill, 0, 100)));
+        this.teammateBlast = -1;
+        this.glyphsActive = [false, false, false, false];
+        this.quadrantsActive = [false, false, false, false];
+        this.glyphsPassed = 0;
+        this.blasts = [];
+        this.orbsTanked = 0;
+        this.orbsSpawned = 0;
+        this.hitpoints = MAX_HITPOINTS;
+        this.damageTaken = 0;
+        this.isDead = false;
+        this.runEnergy = Math.round(MAX_RUN_ENERGY * clamp(this.settings.startRunEnergy, 0, 100) / 100);
+        this.isRunning = this.isRunning && this.runEnergy > 0;
+    }
+
+    /**
+     * Turns running on or off. Running can't be turned on without run energy.
+     *
+     * @param on                  Whether the player should run.
+     */
+    setRunning(on: boolean) {
+        this.isRunning = on && this.runEnergy > 0;
+    }
+
+    /**
+     * Advances the memory blast forward by one game tick.
+     *
+     * @param clickTarget         The tile the player clicked since the last tick, if any.
+     * @returns the outcome of the tick, or null if the sequence has already finished.
+     */
+    step(clickTarget: Point | null = null): StepResult | null {
+        if (this.isFinished()) {
+            return null;
+        }
+
+        if (clickTarget) {
+            this.target = new Point(clickTarget.x, clickTarget.y);
+            this.path = findPath(this.player, this.target, this.settings.solidGlyphs);
+        }
+
+        let event = this.sequence[this.tick];
+        let events = (this.concurrent[this.tick] || []).concat([event]);
+        let spawnedBefore = this.orbsSpawned;
+
+        // Update state.
+        this.updateTeammates();
+        this.updatePositions();
+        events.forEach(e => this.advanceMemoryBlast(e));
+
+        // Check for damage.
+        let damage = 0;
+        let tankedOrb = false;
+        if (this.settings.doubleTrouble) {
+            if (this.isDamagedByMagicalOrb()) {
+                // Teammates' orbs only count toward the player's orbs once they hit the player,
+                // so that a full team doesn't inflate the orbs avoided.
+                if (this.orbs.get(this.player.toKey())!.byTeammate) {
+                    this.orbsSpawned += 1;
+                }
+                this.orbsTanked += 1;
+                tankedOrb = true;
+                damage += this.settings.orbDamage;
+            }
+
+            this.deleteMagicalOrbs();
+        }
+
+        let hitByBlast = this.isDamagedByMemoryBlast();
+        if (hitByBlast) {
+            damage += this.settings.blastDamage;
+        }
+
+        let died = this.takeDamage(damage);
+
+        let passedBlast: boolean | null = null;
+        let blast: BlastResult | null = null;
+        let blastEvent = events.find(isBlastEvent);
+        if (blastEvent !== undefined) {
+            passedBlast = this.isPassedMemoryBlast(blastEvent);
+            if (passedBlast) {
+                this.glyphsPassed += 1;
+            }
+
+            let position = this.blasts.length;
+            blast = {
+                position: position,
+                element: blastElement(blastEvent),
+                previous: position > 0 ? glyphElement(this.pattern[position - 1]) : null,
+                passed: passedBlast,
+            };
+            this.blasts.push(blast);
+        }
+
+        let result = {
+            tick: this.tick,
+            event: event,
+            events: events,
+            passedBlast: passedBlast,
+            blast: blast,
+            tankedOrb: tankedOrb,
+            orbsSpawned: this.orbsSpawned - spawnedBefore,
+            hitByBlast: hitByBlast,
+            damage: damage,
+            died: died,
+        };
+
+        // Advance internal tick counter.
+        this.tick += 1;
+        return result;
+    }
+
+    /**
+     * Removes hitpoints from the player.
+     *
+     * @param damage              The amount of damage taken.
+     * @returns true if the damage killed the player and the run should end.
+     */
+    takeDamage(damage: number) {
+        this.damageTaken += damage;
+        this.hitpoints = Math.max(this.hitpoints - damage, 0);
+
+        if (damage > 0 && this.hitpoints == 0 && this.settings.deathEndsRun) {
+            this.isDead = true;
+        }
+
+        return this.isDead;
+    }
+
+    /**
+     * Advances the memory blast state.
+     * Mapping from integer to game event is defined here.
+     *
+     * @param event               The event to play out.
+     */
+    advanceMemoryBlast(event: EventType) {
+        switch (event) {
+            case EventType.FireGlyphActive:
+            case EventType.ShadowGlyphActive:
+            case EventType.IceGlyphActive:
+            case EventType.LightningGlyphActive:
+                this.glyphsActive = this.glyphsActive.map((_, e) => e == glyphElement(event));
+                break;
+            case EventType.FireQuadrantStage1:
+            case EventType.ShadowQuadrantStage1:
+            case EventType.IceQuadrantStage1:
+            case EventType.LightningQuadrantStage1:
+                // Every quadrant except the safe one is hit.
+                this.quadrantsActive = this.quadrantsActive.map((_, e) => e != blastElement(event));
+                break;
+            case EventType.FireQuadrantStage2:
+            case EventType.ShadowQuadrantStage2:
+            case EventType.IceQuadrantStage2:
+            case EventType.LightningQuadrantStage2:
+                this.quadrantsActive = [false, false, false, false];
+                break;
+            case EventType.Reset:
+                this.glyphsActive = [false, false, false, false];
+                this.quadrantsActive = [false, false, false, false];
+                break;
+            case EventType.End:
+                this.glyphsActive = [false, false, false, false];
+                this.quadrantsActive = [false, false, false, false];
+                this.orbs.clear();
+                break;
+            case EventType.Empty:
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Determines whether the player receives damage from a magical orb, whether it was spawned by the player or a teammate.
+     *
+     * @returns true if there is at least one magical orb on the same tile as the player, else false.
+     */
+    isDamagedByMagicalOrb() {
+        return this.orbs.has(this.player.toKey());
+    }
+
+    /**
+     * Determines whether the player has passed a single glyph's memory blast.
+     *
+     * @param event               The blast event being resolved.
+     * @returns true if the player has passed a glyph's memory blast.
+     */
+    isPassedMemoryBlast(event: EventType) {
+        if (!isBlastEvent(event)) {
+            // Should never happen.
+            return false;
+        }
+
+        return quadrantContains(blastElement(event), this.player);
+    }
+
+    /**
+     * Determines whether the player receives damage from the memory blast.
+     */
+    isDamagedByMemoryBlast() {
+        return this.quadrantsActive.some((active, e) => active && quadrantContains(e, this.player));
+    }
+
+    /**
+     * Sends each teammate to a spot for the next blast, on the tick after its glyph lights up.
+     * Depending on their skill, a teammate may pick the wrong quadrant, or stack on the player instead.
+     */
+    updateTeammates() {
+        let next = this.blasts.length;
+        if (this.teammates.length == 0 || next >= this.pattern.length || next == this.teammateBlast) {
+            return;
+        }
+
+        let glyphsShown = this.sequence.slice(0, this.tick).filter(isGlyphEvent).length
+            + this.concurrent.slice(0, this.tick).reduce((n, events) => n + events.filter(isGlyphEvent).length, 0);
+        if (glyphsShown <= next) {
+            return;
+        }
+
+        this.teammateBlast = next;
+        let safe = glyphElement(this.pattern[next]);
+        this.teammates.forEach((t, i) => {
+            // Each teammate's choice only depends on the seed, so that replays and links play out the same.
+            let rng = mulberry32((this.seed ^ TEAMMATE_SEED_MASK) + next * MAX_TEAMMATES + i);
+            let target: Point;
+            if (rng() * 100 < t.skill) {
+                target = teammateSpot(safe, i);
+            } else if (rng() < 0.5) {
+                target = teammateSpot((safe + 1 + Math.floor(rng() * 3)) % 4, i);
+            } else {
+                target = new Point(this.player.x, this.player.y);
+            }
+
+            t.target = target;
+            t.path = findPath(t.pos, target, this.settings.solidGlyphs);
+        });
+    }
+
+    /**
+     * Moves the player along its path toward the target by 1 tick, and the teammates along theirs.
+     */
+    updatePositions() {
+        let initX = this.player.x;
+        let initY = this.player.y;
+
+        // Move the player, up to 2 tiles per tick when running or 1 when walking.
+        let steps = this.path.splice(0, this.isRunning ? 2 : 1);
+        if (steps.length > 0) {
+            let last = steps[steps.length - 1];
+            this.player = new Point(last.x, last.y);
+        }
+        this.updateRunEnergy(steps.length == 2);
+
+        let deltaX = this.player.x - initX;
+        let deltaY = this.player.y - initY;
+
+        if (this.settings.doubleTrouble) {
+            this.spawnMagicalOrbs(initX, initY, deltaX, deltaY);
+        }
+
+        // Teammates always run, and drop their orbs into the same arena as the player's.
+        for (const t of this.teammates) {
+            let from = t.pos;
+            let teammateSteps = t.path.splice(0, 2);
+            if (teammateSteps.length > 0) {
+                let last = teammateSteps[teammateSteps.length - 1];
+                t.pos = new Point(last.x, last.y);
+            }
+
+            if (this.settings.doubleTrouble) {
+                this.spawnMagicalOrbs(from.x, from.y, t.pos.x - from.x, t.pos.y - from.y, t.pos);
+            }
+        }
+    }
+
+    /**
+     * Drains run energy on ticks the player ran, and regenerates it otherwise.
+     * Turns running off once the player runs out of energy.
+     *
+     * @param ran                 Whether the player ran 2 tiles this tick.
+     */
+    updateRunEnergy(ran: boolean) {
+        let weight = clamp(this.settings.weight, 0, 64);
+        let agility = clamp(this.settings.agility, 1, 99);
+
+        if (ran) {
+            let drain = Math.floor((67 + Math.floor(67 * weight / 64)) * (1 - agility / 300));
+            this.runEnergy = Math.max(this.runEnergy - drain, 0);
+            if (this.runEnergy == 0) {
+                this.isRunning = false;
+            }
+        } else {
+            let regen = Math.floor(agility / 6) + 8;
+            this.runEnergy = Math.min(this.runEnergy + regen, MAX_RUN_ENERGY);
+        }
+    }
+
+    /**
+     * Spawns magical orbs based on the player's destination tile. Orbs last for 6 ticks.
+     *
+     * @param initX               The initial x-coordinate of the player's position.
+     * @param initY               The initial y-coordinate of the player's position.
+     * @param deltaX              The distance that the player travels in the x direction.
+     * @param deltaY              The distance that the player travels in the y direction.
+     * @param mover               The position that the player, or a teammate, moved to.
+     */
+    spawnMagicalOrbs(initX: number, initY: number, deltaX: number, deltaY: number, mover: Point = this.player) {
+        let pos: Point;
+        let byTeammate = mover !== this.player;
+
+        // Only spawn the basic magical orb when the player has moved.
+        if (deltaX != 0 || deltaY != 0) {
+            pos = new Point(initX, initY);
+            this.placeMagicalOrb(pos, byTeammate);
+
+            // When Feeling Special is enabled, spawns an additional orb in front of the player.
+            // * Diagonal movement: Increment both x and y to place one tile ahead.
+            // * Straight movement: Increment the non-zero dimension.
+            // * L-shaped movement: Increment both x and y to place one tile ahead.
+            if (this.settings.feelingSpecial) {
+                // If the magnitude of delta is equal to 2, then reduce to 1.
+                deltaX += (Math.abs(deltaX) == 2) ? ((deltaX > 0) ? -1 : 1) : 0;
+                deltaY += (Math.abs(deltaY) == 2) ? ((deltaY > 0) ? -1 : 1) : 0;
+
+                pos = new Point(mover.x + deltaX, mover.y + deltaY);
+                this.placeMagicalOrb(pos, byTeammate);
+            }
+        }
+    }
+
+    /**
+     * Places a magical orb, replacing any orb already on the tile. Only the player's orbs count toward orbsSpawned.
+     *
+     * @param pos                 The tile to place the orb on.
+     * @param byTeammate          Whether a teammate spawned the orb, rather than the player.
+     */
+    placeMagicalOrb(pos: Point, byTeammate: boolean) {
+        // A teammate's orb landing on one of the player's keeps it the player's, as it was counted when it spawned.
+        // Otherwise tanking it would count it again.
+        let existing = this.orbs.get(pos.toKey());
+        if (!byTeammate) {
+            this.orbsSpawned += 1;
+        } else if (existing && !existing.byTeammate) {
+            byTeammate = false;
+        }
+
+        this.orbs.set(pos.toKey(), new MagicalOrb(pos, getQuadrantElement(pos), this.tick, byTeammate));
+    }
+
+    /**
+     * Deletes magical orbs that should be cleaned up.
+     */
+    deleteMagicalOrbs() {
+        // If the player occupies the same tile as a magical orb, the player takes
+        // damage and the orb should be deleted.
+        this.orbs.delete(this.player.toKey());
+
+        // Magical orbs should expire after being active for 6 ticks.
+        for (const [pos, orb] of this.orbs) {
+            if (orb.spawnTick <= this.tick - ORB_LIFETIME) {
+                this.orbs.delete(pos);
+            }
+        }
+    }
+
+    /**
+     * Returns the full state of the engine as plain data.
+     */
+    snapshot(): EngineSnapshot {
+        return {
+            settings: { ...this.settings },
+            seed: this.seed,
+            tick: this.tick,
+            pattern: this.pattern.slice(),
+            sequence: this.sequence.slice(),
+            concurrent: this.concurrent.map(events => events.slice()),
+            player: { x: this.player.x, y: this.player.y },
+            target: { x: this.target.x, y: this.target.y },
+            path: this.path.map(p => ({ x: p.x, y: p.y })),
+            orbs: Array.from(this.orbs.values(), o => ({
+                x: o.pos.x,
+                y: o.pos.y,
+                element: o.element,
+                spawnTick: o.spawnTick,
+                byTeammate: o.byTeammate,
+            })),
+            teammates: this.teammates.map(t => ({
+                x: t.pos.x,
+                y: t.pos.y,
+                target: { x: t.target.x, y: t.target.y },
+                path: t.path.map(p => ({ x: p.x, y: p.y })),
+                skill: t.skill,
+            })),
+            teammateBlast: this.teammateBlast,
+            glyphsActive: this.glyphsActive.slice(),
+            quadrantsActive: this.quadrantsActive.slice(),
+            glyphsPassed: this.glyphsPassed,
+            blasts: this.blasts.map(b => ({ ...b })),
+            orbsTanked: this.orbsTanked,
+            orbsSpawned: this.orbsSpawned,
+            hitpoints: this.hitpoints,
+            damageTaken: this.damageTaken,
+            isDead: this.isDead,
+            isRunning: this.isRunning,
+            runEnergy: this.runEnergy,
+        };
+    }
+
+    /**
+     * Restores the engine to a state previously returned by snapshot().
+     *
+     * @param s                   The snapshot to restore.
+     */
+    restore(s: EngineSnapshot) {
+        this.settings = { ...s.settings };
+        this.seed = s.seed;
+        this.tick = s.tick;
+        this.pattern = s.pattern.slice();
+        this.sequence = s.sequence.slice();
+        this.concurrent = (s.concurrent || []).map(events => events.slice());
+        this.player = new Point(s.player.x, s.player.y);
+        this.target = new Point(s.target.x, s.target.y);
+        this.path = s.path.map(p => new Point(p.x, p.y));
+        this.orbs = new Map();
+        for (const o of s.orbs) {
+            let pos = new Point(o.x, o.y);
+            this.orbs.set(pos.toKey(), new MagicalOrb(pos, o.element, o.spawnTick, o.byTeammate || false));
+        }
+        this.teammates = (s.teammates || []).map(t => {
+            let teammate = new Teammate(new Point(t.x, t.y), t.skill);
+            teammate.target = new Point(t.target.x, t.target.y);
+            teammate.path = t.path.map(p => new Point(p.x, p.y));
+            return teammate;
+        });
+        this.teammateBlast = s.teammateBlast === undefined ? -1 : s.teammateBlast;
+        this.glyphsActive = s.glyphsActive.slice();
+        this.quadrantsActive = s.quadrantsActive.slice();
+        this.glyphsPassed = s.glyphsPassed;
+        this.blasts = s.blasts.map(b => ({ ...b }));
+        this.orbsTanked = s.orbsTanked;
+        this.orbsSpawned = s.orbsSpawned;
+        this.hitpoints = s.hitpoints;
+        this.damageTaken = s.damageTaken;
+        this.isDead = s.isDead;
+        this.isRunning = s.isRunning;
+        this.runEnergy = s.runEnergy;
+    }
+}
+
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const ARENA_INNER_RADIUS  = 5;
+const ARENA_MIDDLE_RADIUS = 7;
+const ARENA_OUTER_RADIUS  = 10;
+
+const ORIGIN = new Point(ARENA_OUTER_RADIUS, ARENA_OUTER_RADIUS);
+
+/** The number of ticks a magical orb stays on the arena. */
+const ORB_LIFETIME = 6;
+
+/** The player's hitpoints at the start of a run. */
+const MAX_HITPOINTS = 99;
+
+/** Full run energy. The game tracks energy in hundredths of a percent. */
+const MAX_RUN_ENERGY = 10000;
+
+const DEFAULT_SETTINGS: EngineSettings = {
+    doubleTrouble: false,
+    feelingSpecial: false,
+    numActiveGlyphs: 4,
+    blastDamage: 40,
+    orbDamage: 15,
+    deathEndsRun: false,
+    solidGlyphs: false,
+    adaptive: false,
+    recallQuiz: false,
+    weight: 0,
+    agility: 70,
+    startRunEnergy: 100,
+    teammateSkills: [],
+};
+
+const GLYPH_EVENTS = [
+    EventType.FireGlyphActive,
+    EventType.ShadowGlyphActive,
+    EventType.IceGlyphActive,
+    EventType.LightningGlyphActive
+];
+
+/** The display name of each element, indexed by ElementType. */
+const ELEMENT_NAMES = [ "Fire", "Shadow", "Ice", "Lightning" ];
+
+/** The top-leftmost tile of each quadrant, indexed by ElementType. */
+const QUADRANT_ORIGINS = [ new Point(0, 0), new Point(10, 0), new Point(0, 10), new Point(10, 10) ];
+
+/** The tile of each glyph, indexed by ElementType. */
+const GLYPH_POSITIONS = [ new Point(8, 8), new Point(11, 8), new Point(8, 11), new Point(11, 11) ];
+
+/** The width and height of the arena in tiles. */
+const ARENA_SIZE = 2 * ARENA_OUTER_RADIUS;
+
+/**
+ * The directions the pathfinder explores from each tile, in the order the game checks them:
+ * west, east, south, north, south-west, south-east, north-west, north-east.
+ */
+const PATH_DIRECTIONS = [
+    new Point(-1, 0), new Point(1, 0), new Point(0, 1), new Point(0, -1),
+    new Point(-1, 1), new Point(1, 1), new Point(-1, -1), new Point(1, -1),
+];
+
+/** How far from an unreachable destination the pathfinder looks for a reachable tile instead. */
+const ALTERNATIVE_ROUTE_RANGE = 10;
+
+/**
+ * The search of the arena from each tile, keyed by the tile and whether the glyph tiles block movement.
+ * The arena never changes, so the search from each tile is only run once.
+ */
+const ARENA_SEARCHES: Map<string, Map<string, { via: Point, dist: number }>> = new Map();
+
+/** The most bot teammates a run can have, making up a full raid of 8 with the player. */
+const MAX_TEAMMATES = 7;
+
+/** Where each teammate starts, relative to the centre of the arena. */
+const TEAMMATE_START_OFFSETS = [
+    new Point(-1, 0), new Point(1, 0), new Point(0, -1), new Point(0, 1),
+    new Point(-1, -1), new Point(1, -1), new Point(-1, 1),
+];
+
+/** Where each teammate stands in a safe quadrant, relative to the quadrant's glyph and away from the centre. */
+const TEAMMATE_SPOT_OFFSETS = [
+    new Point(1, 0), new Point(0, 1), new Point(1, 1), new Point(2, 0),
+    new Point(0, 2), new Point(2, 1), new Point(1, 2),
+];
+
+/** Mixed into the seed for the teammates' choices, so that they don't follow the glyph choices. */
+const TEAMMATE_SEED_MASK = 0x7ea77a7e;
+
+/** The version of the scenario format that this engine reads. */
+const SCENARIO_VERSION = 1;
+
+/** The memory blast as it plays out without Feeling Special. */
+const NORMAL_SCENARIO: Scenario = {
+    version: SCENARIO_VERSION,
+    name: "Normal",
+    description: "Each glyph lights up for 2 ticks, then 2 ticks of cooldown, then a blast every 3 ticks.",
+    settings: { feelingSpecial: false },
+    timing: { leadIn: 2, glyphTicks: 2, finalGlyphTicks: 2, cooldown: 2, blastTicks: 3 },
+};
+
+/**
+ * The memory blast as it plays out with Feeling Special. The final glyph is cut short and the blasts
+ * come every 2 ticks. In game, the first blast starts as the final glyph lights up, which a custom
+ * scenario can try with a negative cooldown.
+ */
+const FEELING_SPECIAL_SCENARIO: Scenario = {
+    version: SCENARIO_VERSION,
+    name: "Feeling Special",
+    description: "Each glyph lights up for 2 ticks but the final one for 1, then 1 tick of cooldown, then a blast every 2 ticks.",
+    settings: { feelingSpecial: true },
+    timing: { leadIn: 2, glyphTicks: 2, finalGlyphTicks: 1, cooldown: 1, blastTicks: 2 },
+};
+
+const BUILT_IN_SCENARIOS = [ NORMAL_SCENARIO, FEELING_SPECIAL_SCENARIO ];
+
+/**
+ * The bounds on each numeric setting a scenario may set, matching the settings controls.
+ * Active Glyphs only bounds generated patterns, as a fixed pattern or ticks set their own number of glyphs.
+ */
+const SCENARIO_SETTING_RANGES: { [key: string]: { min: number, max: number } } = {
+    numActiveGlyphs: { min: 4, max: 6 },
+    blastDamage: { min: 0, max: MAX_HITPOINTS },
+    orbDamage: { min: 0, max: MAX_HITPOINTS },
+    weight: { min: 0, max: 64 },
+    agility: { min: 1, max: 99 },
+    startRunEnergy: { min: 0, max: 100 },
+};
+
+/** The most ticks a scenario's timing may give to any one part of the memory blast. */
+const MAX_SCENARIO_TIMING_TICKS = 50;
+
+/** The most ticks a scenario may list, several times as many as the longest memory blast in the game. */
+const MAX_SCENARIO_TICKS = 200;
+
+/** The most glyphs a scenario's fixed pattern may have. */
+const MAX_SCENARIO_GLYPHS = 20;
+
+/** Matches an event in a scenario's ticks, e.g. "glyph 2". */
+const SCENARIO_EVENT_PATTERN = /^\s*(empty|reset|glyph|blast|wave)(?:\s+(\d+))?\s*$/i;
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/**
+ * Determines whether a Point is within the bounds of a given quadrant.
+ *
+ * @param element             The ElementType of the quadrant.
+ * @param p                   The Point to check.
+ * @returns true if the player is in the quadrant's bounds, otherwise false.
+ */
+function quadrantContains(element: ElementType, p: Point) {
+    let origin = QUADRANT_ORIGINS[element];
+    let x1 = origin.x;
+    let x2 = origin.x + ARENA_OUTER_RADIUS - 1;
+    let y1 = origin.y;
+    let y2 = origin.y + ARENA_OUTER_RADIUS - 1;
+
+    return (x1 <= p.x && p.x <= x2) && (y1 <= p.y && p.y <= y2);
+}
+
+/**
+ * Returns the element of the quadrant that contains the given Point.
+ *
+ * @param p                   The Point to check.
+ * @returns the ElementType of the quadrant containing the Point.
+ */
+function getQuadrantElement(p: Point): ElementType {
+    if (quadrantContains(ElementType.Fire, p)) {
+        return ElementType.Fire;
+    }
+
+    if (quadrantContains(ElementType.Shadow, p)) {
+        return ElementType.Shadow;
+    }
+
+    if (quadrantContains(ElementType.Ice, p)) {
+        return ElementType.Ice;
+    }
+
+    return ElementType.Lightning;
+}
+
+/**
+ * Returns where a teammate stands to be safe from a blast. Teammates spread out around the safe quadrant's glyph.
+ *
+ * @param element             The ElementType of the safe quadrant.
+ * @param index               The teammate's index.
+ */
+function teammateSpot(element: ElementType, index: number): Point {
+    let glyph = GLYPH_POSITIONS[element];
+    let dx = (element == ElementType.Fire || element == ElementType.Ice) ? -1 : 1;
+    let dy = (element == ElementType.Fire || element == ElementType.Shadow) ? -1 : 1;
+    let offset = TEAMMATE_SPOT_OFFSETS[index % TEAMMATE_SPOT_OFFSETS.length];
+    return new Point(glyph.x + dx * offset.x, glyph.y + dy * offset.y);
+}
+
+/**
+ * Determines whether a tile blocks movement.
+ * Tiles whose centre falls outside the arena's outer circle are blocked.
+ *
+ * @param p                   The tile to check.
+ * @param solidGlyphs         Whether the glyph tiles also block movement.
+ * @returns true if the player may not stand on the tile.
+ */
+function isTileBlocked(p: Point, solidGlyphs: boolean) {
+    if (p.x < 0 || p.y < 0 || p.x >= ARENA_SIZE || p.y >= ARENA_SIZE) {
+        return true;
+    }
+
+    let dx = p.x + 0.5 - ORIGIN.x;
+    let dy = p.y + 0.5 - ORIGIN.y;
+    if (dx * dx + dy * dy > ARENA_OUTER_RADIUS * ARENA_OUTER_RADIUS) {
+        return true;
+    }
+
+    return solidGlyphs && GLYPH_POSITIONS.some(g => g.equals(p));
+}
+
+/**
+ * Determines whether the player can take a single step from one tile in the given direction.
+ * Diagonal steps are not allowed to cut the corner of a blocked tile.
+ *
+ * @param from                The tile to step from.
+ * @param dir                 One of PATH_DIRECTIONS.
+ * @param solidGlyphs         Whether the glyph tiles block movement.
+ */
+function canStep(from: Point, dir: Point, solidGlyphs: boolean) {
+    if (isTileBlocked(new Point(from.x + dir.x, from.y + dir.y), solidGlyphs)) {
+        return false;
+    }
+
+    if (dir.x != 0 && dir.y != 0) {
+        return !isTileBlocked(new Point(from.x + dir.x, from.y), solidGlyphs)
+            && !isTileBlocked(new Point(from.x, from.y + dir.y), solidGlyphs);
+    }
+
+    return true;
+}
+
+/**
+ * Runs a breadth-first search over the arena from a tile.
+ *
+ * @param from                The tile to search from.
+ * @param solidGlyphs         Whether the glyph tiles block movement.
+ * @returns for every reachable tile, keyed by Point.toKey(), the neighbouring tile it was first
+ *          reached from and its distance in steps. The result is shared between calls, so it must not be changed.
+ */
+function searchArena(from: Point, solidGlyphs: boolean): Map<string, { via: Point, dist: number }> {
+    let searchKey = `${from.toKey()},${solidGlyphs}`;
+    let cached = ARENA_SEARCHES.get(searchKey);
+    if (cached) {
+        return cached;
+    }
+
+    let visited: Map<string, { via: Point, dist: number }> = new Map();
+    visited.set(from.toKey(), { via: from, dist: 0 });
+
+    let queue = [ from ];
+    for (let i = 0; i < queue.length; i++) {
+        let curr = queue[i];
+        let dist = visited.get(curr.toKey())!.dist;
+
+        for (const dir of PATH_DIRECTIONS) {
+            let next = new Point(curr.x + dir.x, curr.y + dir.y);
+            if (visited.has(next.toKey()) || !canStep(curr, dir, solidGlyphs)) {
+                continue;
+            }
+
+            visited.set(next.toKey(), { via: curr, dist: dist + 1 });
+            queue.push(next);
+        }
+    }
+
+    ARENA_SEARCHES.set(searchKey, visited);
+    return visited;
+}
+
+/**
+ * Finds the tiles the player steps through to walk from one tile to another.
+ *
+ * Like the game, the player walks diagonally first and then in a straight line.
+ * If the destination cannot be reached, the player walks to the closest reachable tile
+ * within ALTERNATIVE_ROUTE_RANGE instead, preferring the shorter walk when tied.
+ *
+ * @param from                The player's tile.
+ * @param to                  The tile clicked.
+ * @param solidGlyphs         Whether the glyph tiles block movement.
+ * @returns the tiles to step through in order, excluding the starting tile.
+ */
+function findPath(from: Point, to: Point, solidGlyphs: boolean): Point[] {
+    let reachable = searchArena(from, solidGlyphs);
+
+    let dest: Point | null = reachable.has(to.toKey()) ? to : null;
+    if (!dest) {
+        let bestDist = Infinity;
+        let bestSteps = Infinity;
+        for (const [key, { dist }] of reachable) {
+            let p = Point.fromKey(key);
+            if (Math.abs(p.x - to.x) > ALTERNATIVE_ROUTE_RANGE || Math.abs(p.y - to.y) > ALTERNATIVE_ROUTE_RANGE) {
+                continue;
+            }
+
+            let d = (p.x - to.x) * (p.x - to.x) + (p.y - to.y) * (p.y - to.y);
+            if (d < bestDist || (d == bestDist && dist < bestSteps)) {
+                dest = p;
+                bestDist = d;
+                bestSteps = dist;
+            }
+        }
+    }
+
+    if (!dest || dest.equals(from)) {
+        return [];
+    }
+
+    // Searching back from the destination puts the straight section of the route at the
+    // destination's end, so the player leads with the diagonal steps.
+    let toDest = searchArena(dest, solidGlyphs);
+    let path: Point[] = [];
+    let curr = from;
+    while (!curr.equals(dest)) {
+        curr = toDest.get(curr.toKey())!.via;
+        path.push(curr);
+    }
+
+    return path;
+}
+
+/**
+ * Determines whether an event resolves a glyph's memory blast.
+ *
+ * @param event               The EventType to check.
+ * @returns true if the event is the first stage of a quadrant's blast.
+ */
+function isBlastEvent(event: EventType) {
+    return event == EventType.FireQuadrantStage1
+        || event == EventType.ShadowQuadrantStage1
+        || event == EventType.IceQuadrantStage1
+        || event == EventType.LightningQuadrantStage1;
+}
+
+/**
+ * Determines whether an event is a stage of a quadrant's blast.
+ *
+ * @param event               The EventType to check.
+ */
+function isQuadrantEvent(event: EventType) {
+    return event >= EventType.FireQuadrantStage1 && event <= EventType.LightningQuadrantStage2;
+}
+
+/**
+ * Determines whether an event lights up a glyph.
+ *
+ * @param event               The EventType to check.
+ */
+function isGlyphEvent(event: EventType) {
+    return GLYPH_EVENTS.indexOf(event) != -1;
+}
+
+/**
+ * Describes where a tick falls in the memory blast.
+ *
+ * @param sequence            Exactly how each game tick is played out.
+ * @param tick                The index in the sequence of the tick most recently played out, or -1 before the first.
+ * @param concurrent          The events played out on each tick before its sequence event, as in AkkhaEngine.
+ */
+function sequencePhase(sequence: EventType[], tick: number, concurrent: EventType[][] = []): SequencePhase {
+    // With a scenario, a glyph or blast can overlap another event, so look at every event on each tick.
+    let hasBlast = sequence.map((event, i) => (concurrent[i] || []).concat([event]).some(isBlastEvent));
+    let hasGlyph = sequence.map((event, i) => (concurrent[i] || []).concat([event]).some(isGlyphEvent));
+
+    let blastsResolved = hasBlast.slice(0, tick + 1).filter(b => b).length;
+    let numBlasts = hasBlast.filter(b => b).length;
+
+    let ticksToBlast: number | null = null;
+    for (let i = tick + 1; i < sequence.length; i++) {
+        if (hasBlast[i]) {
+            ticksToBlast = i - tick;
+            break;
+        }
+    }
+
+    let firstGlyph = hasGlyph.indexOf(true);
+    let lastGlyph = hasGlyph.lastIndexOf(true);
+
+    // A blast may resolve on the same tick as the final glyph lights up, and the blasts take over from then on.
+    let name: SequencePhase["name"];
+    if (tick >= sequence.length || sequence[tick] == EventType.End) {
+        name = "done";
+    } else if (firstGlyph == -1 || tick < firstGlyph) {
+        name = "ready";
+    } else if (blastsResolved > 0) {
+        name = "blast";
+    } else if (tick <= lastGlyph) {
+        name = "memorize";
+    } else {
+        name = "cooldown";
+    }
+
+    return { name, blastsResolved, numBlasts, ticksToBlast };
+}
+
+/**
+ * Returns the element of a glyph activating event.
+ *
+ * @param event               One of GLYPH_EVENTS.
+ */
+function glyphElement(event: EventType): ElementType {
+    return event - EventType.FireGlyphActive;
+}
+
+/**
+ * Returns the element of the safe quadrant for a quadrant stage event.
+ *
+ * @param event               A quadrant Stage1 or Stage2 event.
+ */
+function blastElement(event: EventType): ElementType {
+    return Math.floor((event - EventType.FireQuadrantStage1) / 2);
+}
+
+/**
+ * Returns a randomly chosen EventType of a glyph activating, given the previous EventType.
+ *
+ * @param excl                A single EventType to exclude from the random range.
+ * @param rng                 The random number generator to draw from.
+ * @param weights             If given, biases the choice toward the heavier weighted glyphs.
+ * @param position            The index in the pattern being chosen, used with weights.
+ * @returns the random EventType.
+ */
+function randGlyphEvent(excl: EventType, rng: () => number, weights: AdaptiveWeights | null = null, position = 0): EventType {
+    let validGlyphs = validNextGlyphs(excl);
+    if (!weights) {
+        let j = Math.floor(rng() * validGlyphs.length);
+        return validGlyphs[j];
+    }
+
+    let glyphWeights = validGlyphs.map(g => {
+        let w = 1;
+        if (excl != EventType.Empty) {
+            w *= weights.transitions[glyphElement(excl)][glyphElement(g)];
+        }
+        if (position < weights.positions.length) {
+            w *= weights.positions[position][glyphElement(g)];
+        }
+        return w;
+    });
+
+    let r = rng() * glyphWeights.reduce((a, b) => a + b, 0);
+    for (let j = 0; j < validGlyphs.length; j++) {
+        r -= glyphWeights[j];
+        if (r < 0) {
+            return validGlyphs[j];
+        }
+    }
+
+    return validGlyphs[validGlyphs.length - 1];
+}
+
+/**
+ * Determines whether a pattern follows the same rules as generated patterns:
+ * every entry is a glyph, and consecutive glyphs don't repeat and are adjacent on the arena.
+ *
+ * @param pattern             The ordering of the glyphs.
+ */
+function isValidPattern(pattern: EventType[]): boolean {
+    let prev = EventType.Empty;
+    for (const glyph of pattern) {
+        if (validNextGlyphs(prev).indexOf(glyph) == -1) {
+            return false;
+        }
+        prev = glyph;
+    }
+
+    return pattern.length > 0;
+}
+
+/**
+ * Explains why a glyph may not follow another in a pattern.
+ *
+ * @param excl                The previous EventType.
+ * @param glyph               The glyph activating EventType to check.
+ * @returns the reason, or null if the glyph is allowed.
+ */
+function explainInvalidGlyph(excl: EventType, glyph: EventType): string | null {
+    if (validNextGlyphs(excl).indexOf(glyph) != -1) {
+        return null;
+    }
+
+    let name = ELEMENT_NAMES[glyphElement(glyph)];
+    if (glyph == excl) {
+        return `${name} can't follow ${name}: the same glyph never activates twice in a row.`;
+    }
+
+    let previous = ELEMENT_NAMES[glyphElement(excl)];
+    return `${name} can't follow ${previous}: each glyph is next to the one before it, ` +
+        `and ${name} is diagonally opposite ${previous}.`;
+}
+
+/**
+ * Writes a pattern as text, with the initial of each glyph's element, e.g. "F-S-L-I-F".
+ *
+ * @param pattern             The ordering of the glyphs.
+ */
+function formatPattern(pattern: EventType[]): string {
+    return pattern.map(g => ELEMENT_NAMES[glyphElement(g)][0]).join("-");
+}
+
+/**
+ * Reads a pattern written by formatPattern(). Elements may also be written out in full, in either case,
+ * and separated by dashes, commas or spaces. The pattern isn't checked against the rules.
+ *
+ * @param text                The pattern as text.
+ * @returns the ordering of the glyphs, or null if any of them isn't an element.
+ */
+function parsePattern(text: string): EventType[] | null {
+    let pattern: EventType[] = [];
+    for (const token of text.trim().split(/[\s,-]+/).filter(t => t)) {
+        let element = ELEMENT_NAMES.findIndex(name =>
+            token.toLowerCase() == name.toLowerCase() || token.toLowerCase() == name[0].toLowerCase());
+        if (element == -1) {
+            return null;
+        }
+        pattern.push(GLYPH_EVENTS[element]);
+    }
+
+    return pattern;
+}
+
+/**
+ * Returns the glyph activating EventTypes allowed to follow the given EventType.
+ *
+ * @param excl                The previous EventType.
+ * @returns the allowed EventTypes.
+ */
+function validNextGlyphs(excl: EventType): EventType[] {
+    // Build a copy of GLYPH_EVENTS so we don't modify it.
+    let validGlyphs = GLYPH_EVENTS.slice();
+
+    // Consecutive glyphs may not repeat and must be adjacent to each other on the arena.
+    let i: number;
+    switch (excl) {
+        case EventType.FireGlyphActive:
+        case EventType.LightningGlyphActive:
+            i = validGlyphs.indexOf(EventType.FireGlyphActive);
+            validGlyphs.splice(i, 1);
+            i = validGlyphs.indexOf(EventType.LightningGlyphActive);
+            validGlyphs.splice(i, 1);
+            break;
+        case EventType.ShadowGlyphActive:
+        case EventType.IceGlyphActive:
+            i = validGlyphs.indexOf(EventType.IceGlyphActive);
+            validGlyphs.splice(i, 1);
+            i = validGlyphs.indexOf(EventType.ShadowGlyphActive);
+            validGlyphs.splice(i, 1);
+            break;
+    }
+
+    return validGlyphs;
+}
+
+/**
+ * Returns a seeded pseudo-random number generator (mulberry32).
+ *
+ * @param seed                A 32-bit unsigned integer seed.
+ * @returns a function returning the next number in [0, 1) each time it is called.
+ */
+function mulberry32(seed: number): () => number {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns a new random seed for pattern generation.
+ */
+function randSeed(): number {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Clamps a number to the given range.
+ *
+ * @param n                   The number to clamp.
+ * @param min                 The lower bound.
+ * @param max                 The upper bound.
+ * @returns the clamped number.
+ */
+function clamp(n: number, min: number, max: number): number {
+    return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Reads a scenario file.
+ *
+ * @param text                The contents of the file.
+ * @returns the scenario, or the reasons it couldn't be read.
+ */
+function readScenario(text: string): ScenarioLoadResult {
+    let data: unknown;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { scenario: null, errors: [`The file isn't valid JSON: ${(e as Error).message}`] };
+    }
+
+    let errors = validateScenario(data);
+    return { scenario: errors.length == 0 ? data as Scenario : null, errors: errors };
+}
+
+/**
+ * Checks that data read from a scenario file is a scenario this engine can play.
+ *
+ * @param data                The parsed JSON.
+ * @returns everything wrong with the scenario, or an empty list if it is valid.
+ */
+function validateScenario(data: any): string[] {
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+        return ["A scenario must be a JSON object."];
+    }
+
+    let errors: string[] = [];
+    if (data.version !== SCENARIO_VERSION) {
+        errors.push(`"version" must be ${SCENARIO_VERSION}, but is ${JSON.stringify(data.version)}.`);
+    }
+    if (typeof data.name !== "string" || !data.name.trim()) {
+        errors.push(`"name" must be a non-empty string.`);
+    }
+    if (data.description !== undefined && typeof data.description !== "string") {
+        errors.push(`"description" must be a string.`);
+    }
+
+    if (data.settings !== undefined) {
+        if (typeof data.settings !== "object" || data.settings === null || Array.isArray(data.settings)) {
+            errors.push(`"settings" must be an object.`);
+        } else {
+            for (const key in data.settings) {
+                let value = data.settings[key];
+                let expected = typeof (DEFAULT_SETTINGS as any)[key];
+                let range = SCENARIO_SETTING_RANGES[key];
+                if (!(key in DEFAULT_SETTINGS)) {
+                    errors.push(`"settings.${key}" is not a setting.`);
+                } else if (key == "teammateSkills") {
+                    if (!Array.isArray(value) || value.length > MAX_TEAMMATES ||
+                            value.some(skill => typeof skill !== "number" || !(skill >= 0 && skill <= 100))) {
+                        errors.push(`"settings.teammateSkills" must be a list of up to ${MAX_TEAMMATES} skills ` +
+                            `from 0 to 100, but is ${JSON.stringify(value)}.`);
+                    }
+                } else if (typeof value !== expected) {
+                    errors.push(`"settings.${key}" must be a ${expected}.`);
+                } else if (range && (!Number.isInteger(value) || value < range.min || value > range.max)) {
+                    errors.push(`"settings.${key}" must be a whole number from ${range.min} to ${range.max}, ` +
+                        `but is ${JSON.stringify(value)}.`);
+                }
+            }
+        }
+    }
+
+    let pattern: EventType[] | null = null;
+    if (data.pattern !== undefined) {
+        pattern = typeof data.pattern === "string" ? parsePattern(data.pattern) : null;
+        if (!pattern || pattern.length == 0) {
+            errors.push(`"pattern" must list the glyphs like "F-S-L-I", but is ${JSON.stringify(data.pattern)}.`);
+            pattern = null;
+        } else if (pattern.length > MAX_SCENARIO_GLYPHS) {
+            errors.push(`"pattern" may have at most ${MAX_SCENARIO_GLYPHS} glyphs, but has ${pattern.length}.`);
+            pattern = null;
+        } else {
+            let prev = EventType.Empty;
+            pattern.forEach((glyph, i) => {
+                let reason = explainInvalidGlyph(prev, glyph);
+                if (reason) {
+                    errors.push(`"pattern" glyph ${i + 1}: ${reason}`);
+                }
+                prev = glyph;
+            });
+        }
+    }
+
+    if ((data.timing === undefined) == (data.ticks === undefined)) {
+        errors.push(`A scenario needs either "timing" or "ticks", but not both.`);
+    } else if (data.timing !== undefined) {
+        errors.push(...validateScenarioTiming(data.timing));
+    } else {
+        errors.push(...validateScenarioTicks(data.ticks, pattern));
+    }
+
+    return errors;
+}
+
+/**
+ * Checks the timing of a scenario.
+ *
+ * @param timing              The "timing" of the scenario.
+ * @returns everything wrong with the timing.
+ */
+function validateScenarioTiming(timing: any): string[] {
+    if (typeof timing !== "object" || timing === null || Array.isArray(timing)) {
+        return [`"timing" must be an object.`];
+    }
+
+    let errors: string[] = [];
+    let check = (field: string, min: number) => {
+        let max = MAX_SCENARIO_TIMING_TICKS;
+        if (!Number.isInteger(timing[field]) || timing[field] < min || timing[field] > max) {
+            errors.push(`"timing.${field}" must be a whole number from ${min} to ${max}, but is ${JSON.stringify(timing[field])}.`);
+        }
+    };
+    check("leadIn", 0);
+    check("glyphTicks", 1);
+    check("finalGlyphTicks", 1);
+    check("blastTicks", 1);
+
+    // The first blast may overlap the final glyph, but not come before it.
+    check("cooldown", Number.isInteger(timing.finalGlyphTicks) ? -timing.finalGlyphTicks : 0);
+
+    return errors;
+}
+
+/**
+ * Checks the ticks of a scenario. Every glyph must light up once, in order, and have its blast afterwards,
+ * also in order. Each tick may light up at most one glyph and have at most one blast or wave.
+ *
+ * @param ticks               The "ticks" of the scenario.
+ * @param pattern             The scenario's fixed pattern, if it has a valid one.
+ * @returns everything wrong with the ticks.
+ */
+function validateScenarioTicks(ticks: any, pattern: EventType[] | null): string[] {
+    if (!Array.isArray(ticks) || ticks.length == 0) {
+        return [`"ticks" must be a list with an entry for each tick.`];
+    }
+    if (ticks.length > MAX_SCENARIO_TICKS) {
+        return [`"ticks" may list at most ${MAX_SCENARIO_TICKS} ticks, but lists ${ticks.length}.`];
+    }
+
+    let errors: string[] = [];
+    let glyphsLit = 0;
+    let blastsResolved = 0;
+    ticks.forEach((entry, i) => {
+        let names = typeof entry === "string" ? [ entry ] : entry;
+        if (!Array.isArray(names) || names.some(n => typeof n !== "string")) {
+            errors.push(`"ticks[${i}]" must be an event or a list of events.`);
+            return;
+        }
+
+        let glyphs = 0;
+        let stages = 0;
+        for (const name of names) {
+            let match = SCENARIO_EVENT_PATTERN.exec(name);
+            let kind = match ? match[1].toLowerCase() : "";
+            let n = match && match[2] !== undefined ? Number(match[2]) : null;
+            if (!match || (kind == "empty" || kind == "reset") != (n === null) || n === 0) {
+                errors.push(`"ticks[${i}]": "${name}" isn't an event. ` +
+                    `Use "empty", "reset", or "glyph", "blast" or "wave" followed by a number from 1.`);
+                continue;
+            }
+
+            if (kind == "glyph") {
+                glyphs += 1;
+                if (n != glyphsLit + 1) {
+                    errors.push(`"ticks[${i}]": glyph ${n} lights up out of order, expected glyph ${glyphsLit + 1}.`);
+                }
+                glyphsLit = Math.max(glyphsLit, n!);
+            } else if (kind == "blast") {
+                stages += 1;
+                if (n != blastsResolved + 1) {
+                    errors.push(`"ticks[${i}]": blast ${n} is out of order, expected blast ${blastsResolved + 1}.`);
+                } else if (n! > glyphsLit) {
+                    errors.push(`"ticks[${i}]": blast ${n} comes before glyph ${n} lights up.`);
+                }
+                blastsResolved = Math.max(blastsResolved, n!);
+            } else if (kind == "wave") {
+                stages += 1;
+                if (n != blastsResolved) {
+                    errors.push(`"ticks[${i}]": wave ${n} must come after blast ${n} and before the next blast.`);
+                }
+            }
+        }
+
+        if (glyphs > 1) {
+            errors.push(`"ticks[${i}]" lights up more than one glyph.`);
+        }
+        if (stages > 1) {
+            errors.push(`"ticks[${i}]" has more than one blast or wave.`);
+        }
+    });
+
+    if (glyphsLit == 0) {
+        errors.push(`"ticks" must light up at least one glyph.`);
+    }
+    for (let n = blastsResolved + 1; n <= glyphsLit; n++) {
+        errors.push(`"ticks" never has blast ${n}.`);
+    }
+    if (pattern && glyphsLit > 0 && pattern.length != glyphsLit) {
+        errors.push(`"pattern" has ${pattern.length} glyphs, but "ticks" lights up ${glyphsLit}.`);
+    }
+
+    return errors;
+}
+
+/**
+ * Counts the glyphs lit up by a scenario's ticks.
+ *
+ * @param ticks               The "ticks" of a valid scenario.
+ */
+function scenarioGlyphCount(ticks: (string | string[])[]): number {
+    return ticks.reduce((count: number, entry) => count + ([] as string[]).concat(entry)
+        .filter(name => SCENARIO_EVENT_PATTERN.exec(name)![1].toLowerCase() == "glyph").length, 0);
+}
+
+/**
+ * Lays out the events of a valid scenario for a pattern, tick by tick.
+ *
+ * @param scenario            The scenario to play.
+ * @param pattern             The ordering of the glyphs.
+ * @returns the events on each tick, in the order they play out. Empty ticks have no events.
+ */
+function scenarioTicks(scenario: Scenario, pattern: EventType[]): EventType[][] {
+    let ticks: EventType[][] = [];
+    let place = (tick: number, event: EventType) => {
+        while (ticks.length <= tick) {
+            ticks.push([]);
+        }
+        ticks[tick].push(event);
+    };
+    let stage1 = (glyph: EventType) => EventType.FireQuadrantStage1 + 2 * glyphElement(glyph);
+
+    if (scenario.ticks) {
+        scenario.ticks.forEach((entry, tick) => {
+            place(tick, EventType.Empty);
+            for (const name of ([] as string[]).concat(entry)) {
+                let match = SCENARIO_EVENT_PATTERN.exec(name)!;
+                let glyph = match[2] !== undefined ? pattern[Number(match[2]) - 1] : EventType.Empty;
+                switch (match[1].toLowerCase()) {
+                    case "reset": place(tick, EventType.Reset); break;
+                    case "glyph": place(tick, glyph); break;
+                    case "blast": place(tick, stage1(glyph)); break;
+                    case "wave": place(tick, stage1(glyph) + 1); break;
+                }
+            }
+        });
+    } else {
+        let timing = scenario.timing!;
+        let tick = timing.leadIn;
+        pattern.forEach((glyph, i) => {
+            // Each glyph lights up for its first tick and goes out on its last.
+            let length = i == pattern.length - 1 ? timing.finalGlyphTicks : timing.glyphTicks;
+            place(tick, glyph);
+            if (length > 1) {
+                place(tick + length - 1, EventType.Reset);
+            }
+            tick += length;
+        });
+
+        tick += timing.cooldown;
+        for (const glyph of pattern) {
+            place(tick, stage1(glyph));
+            for (let i = 1; i < timing.blastTicks; i++) {
+                place(tick + i, stage1(glyph) + 1);
+            }
+            tick += timing.blastTicks;
+        }
+    }
+
+    // Play resets before anything lit up on the same tick, and glyphs before blasts, which EventType's order gives.
+    return ticks.map(events => events.filter(e => e != EventType.Empty).sort((a, b) => a - b));
+}
+
+/// ================================================================================================
+/// Node
+/// ================================================================================================
+
+// Exposes the engine when loaded outside the browser, e.g. `require("./engine.js")` in Node.
+declare const module: { exports: unknown } | undefined;
+if (typeof module !== "undefined") {
+    module.exports = {
+        AkkhaEngine, Point, MagicalOrb, Teammate, EventType, ElementType, ELEMENT_NAMES, ORB_LIFETIME, MAX_HITPOINTS, MAX_RUN_ENERGY, DEFAULT_SETTINGS,
+        quadrantContains, getQuadrantElement, isBlastEvent, isGlyphEvent, sequencePhase, validNextGlyphs, isValidPattern, explainInvalidGlyph,
+        formatPattern, parsePattern, readScenario, validateScenario, scenarioTicks, BUILT_IN_SCENARIOS, SCENARIO_VERSION,
+        MAX_TEAMMATES, teammateSpot, mulberry32, isTileBlocked, findPath,
+    };
+}
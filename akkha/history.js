@@ -0,0 +1,420 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const HISTORY_STORAGE_KEY = "akkha-history";
+const HISTORY_VERSION = 1;
+/** The oldest runs are dropped once the history grows past this many. */
+const MAX_HISTORY_RUNS = 1000;
+/** The number of runs averaged together for each point of the trend lines. */
+const HISTORY_AVERAGE_WINDOW = 10;
+const CHART_GRID_STROKE = "#4a4a4a";
+const CHART_TEXT_FILL = "#a2a2a2";
+const CHART_GLYPH_FILL = "#6fb3d2";
+const CHART_GLYPH_STROKE = "#00efef";
+const CHART_ORB_STROKE = "#d35eed";
+/** The maximum number of glyphs in a pattern, and so the number of rows in the position table. */
+const MAX_PATTERN_LENGTH = 6;
+/** The number of most recent runs that adaptive mode learns from. */
+const ADAPTIVE_RECENT_RUNS = 20;
+/** How much more often a glyph that is always failed is chosen, compared to one that is never failed. */
+const ADAPTIVE_STRENGTH = 3;
+/** Adaptive mode adds a glyph once this many runs in a row at the current count... */
+const ADAPTIVE_PROMOTION_RUNS = 5;
+/** ...have at least this accuracy. */
+const ADAPTIVE_PROMOTION_ACCURACY = 0.9;
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/// ------------------------------------------------------------------------------------------------
+/// Storage
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Summarizes the engine's finished run for the training history.
+ *
+ * @param engine              The engine whose run has finished.
+ * @returns the summary to save.
+ */
+function summarizeRun(engine) {
+    return {
+        timestamp: Date.now(),
+        settings: Object.assign({}, engine.settings),
+        seed: engine.seed,
+        pattern: engine.pattern.slice(),
+        glyphsPassed: engine.glyphsPassed,
+        blasts: engine.blasts.map(b => (Object.assign({}, b))),
+        orbsSpawned: engine.orbsSpawned,
+        orbsTanked: engine.orbsTanked,
+        damageTaken: engine.damageTaken,
+        died: engine.isDead,
+    };
+}
+/**
+ * Loads the training history from localStorage.
+ *
+ * @returns the saved runs, oldest first, or an empty list if there is no readable history.
+ */
+function loadHistory() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || "null");
+        if (saved && saved.version == HISTORY_VERSION && Array.isArray(saved.runs)) {
+            return saved.runs;
+        }
+    }
+    catch (e) {
+        console.warn("Could not read the training history.", e);
+    }
+    return [];
+}
+/**
+ * Writes the training history to localStorage.
+ *
+ * @param runs                The runs to save, oldest first.
+ */
+function storeHistory(runs) {
+    try {
+        localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({ version: HISTORY_VERSION, runs: runs }));
+    }
+    catch (e) {
+        console.warn("Could not save the training history.", e);
+    }
+}
+/**
+ * Appends a completed run to the training history.
+ *
+ * @param run                 The run to save.
+ */
+function saveRunToHistory(run) {
+    let runs = loadHistory();
+    runs.push(run);
+    storeHistory(runs.slice(-MAX_HISTORY_RUNS));
+    renderHistory();
+}
+/**
+ * Deletes the training history after asking the user to confirm.
+ */
+function clearHistory() {
+    if (!confirm("Delete all saved runs? This can't be undone.")) {
+        return;
+    }
+    storeHistory([]);
+    storeRunPaths([]);
+    renderHistory();
+}
+/// ------------------------------------------------------------------------------------------------
+/// History Panel
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Shows or hides the history panel.
+ */
+function toggleHistory() {
+    let panel = document.getElementById("history");
+    if (panel) {
+        panel.hidden = !panel.hidden;
+        renderHistory();
+    }
+}
+/**
+ * Reads the history panel's filter controls.
+ */
+function readHistoryFilter() {
+    let dt = document.getElementById("history-dt").value;
+    let fs = document.getElementById("history-fs").value;
+    let ag = document.getElementById("history-ag").value;
+    return {
+        doubleTrouble: dt ? dt == "1" : null,
+        feelingSpecial: fs ? fs == "1" : null,
+        numActiveGlyphs: ag ? Number(ag) : null,
+    };
+}
+/**
+ * Returns the runs whose settings match the filter.
+ *
+ * @param runs                The runs to filter.
+ * @param filter              The settings to match.
+ */
+function filterHistory(runs, filter) {
+    return runs.filter(run => (filter.doubleTrouble === null || run.settings.doubleTrouble == filter.doubleTrouble) &&
+        (filter.feelingSpecial === null || run.settings.feelingSpecial == filter.feelingSpecial) &&
+        (filter.numActiveGlyphs === null || run.settings.numActiveGlyphs == filter.numActiveGlyphs));
+}
+/**
+ * Redraws the history panel's chart and summary, if the panel is open.
+ */
+function renderHistory() {
+    let panel = document.getElementById("history");
+    if (!panel || panel.hidden) {
+        return;
+    }
+    let runs = filterHistory(loadHistory(), readHistoryFilter());
+    drawHistoryChart(runs);
+    renderAnalytics(runs);
+    let summary = document.getElementById("history-summary");
+    if (summary) {
+        let glyphs = runs.reduce((n, run) => n + run.settings.numActiveGlyphs, 0);
+        let passed = runs.reduce((n, run) => n + run.glyphsPassed, 0);
+        let spawned = runs.reduce((n, run) => n + run.orbsSpawned, 0);
+        let tanked = runs.reduce((n, run) => n + run.orbsTanked, 0);
+        summary.innerHTML = `${runs.length} runs, glyphs passed: ${passed}/${glyphs} (${percent(passed, glyphs)}), ` +
+            `magical orbs avoided: ${spawned - tanked}/${spawned} (${percent(spawned - tanked, spawned)})`;
+    }
+}
+/**
+ * Draws accuracy over time for the given runs.
+ * Each run's glyph accuracy is drawn as a dot, with trend lines for glyph and orb accuracy.
+ *
+ * @param runs                The runs to chart, oldest first.
+ */
+function drawHistoryChart(runs) {
+    let chart = document.getElementById("history-chart");
+    let c = chart.getContext("2d");
+    let left = 40, right = chart.width - 10, top = 20, bottom = chart.height - 24;
+    let xOf = (i) => left + (runs.length > 1 ? (right - left) * i / (runs.length - 1) : (right - left) / 2);
+    let yOf = (accuracy) => bottom - (bottom - top) * accuracy;
+    c.clearRect(0, 0, chart.width, chart.height);
+    c.font = "11px Arial";
+    c.lineWidth = 1;
+    // Horizontal grid lines every 25%.
+    for (let pct = 0; pct <= 100; pct += 25) {
+        c.strokeStyle = CHART_GRID_STROKE;
+        c.beginPath();
+        c.moveTo(left, yOf(pct / 100));
+        c.lineTo(right, yOf(pct / 100));
+        c.stroke();
+        c.fillStyle = CHART_TEXT_FILL;
+        c.fillText(`${pct}%`, 4, yOf(pct / 100) + 4);
+    }
+    if (runs.length == 0) {
+        c.fillText("No saved runs match these settings yet.", left + 10, top + 20);
+        return;
+    }
+    // Legend and date range.
+    c.fillStyle = CHART_GLYPH_STROKE;
+    c.fillText("Glyphs passed", left, 12);
+    c.fillStyle = CHART_ORB_STROKE;
+    c.fillText("Magical orbs avoided", left + 100, 12);
+    c.fillStyle = CHART_TEXT_FILL;
+    c.fillText(new Date(runs[0].timestamp).toLocaleDateString(), left, chart.height - 6);
+    let lastDate = new Date(runs[runs.length - 1].timestamp).toLocaleDateString();
+    c.fillText(lastDate, right - c.measureText(lastDate).width, chart.height - 6);
+    // Per-run glyph accuracy.
+    let glyphAccuracy = runs.map(run => run.glyphsPassed / Math.max(run.settings.numActiveGlyphs, 1));
+    c.fillStyle = CHART_GLYPH_FILL;
+    glyphAccuracy.forEach((accuracy, i) => {
+        c.beginPath();
+        c.arc(xOf(i), yOf(accuracy), 2.5, 0, 2 * Math.PI);
+        c.fill();
+    });
+    drawTrendLine(c, movingAverage(glyphAccuracy), xOf, yOf, CHART_GLYPH_STROKE);
+    // Orb accuracy only applies to runs that spawned orbs.
+    let orbAccuracy = runs.map(run => run.orbsSpawned > 0 ? (run.orbsSpawned - run.orbsTanked) / run.orbsSpawned : null);
+    drawTrendLine(c, movingAverage(orbAccuracy), xOf, yOf, CHART_ORB_STROKE);
+}
+/**
+ * Draws a line through the given values, skipping over missing values.
+ *
+ * @param c                   The chart's rendering context.
+ * @param values              The value for each run, or null where the run has none.
+ * @param xOf                 Maps a run index to a canvas x-coordinate.
+ * @param yOf                 Maps a value to a canvas y-coordinate.
+ * @param stroke              The line colour.
+ */
+function drawTrendLine(c, values, xOf, yOf, stroke) {
+    c.strokeStyle = stroke;
+    c.lineWidth = 2;
+    c.beginPath();
+    let started = false;
+    values.forEach((v, i) => {
+        if (v === null) {
+            return;
+        }
+        if (started) {
+            c.lineTo(xOf(i), yOf(v));
+        }
+        else {
+            c.moveTo(xOf(i), yOf(v));
+            started = true;
+        }
+    });
+    c.stroke();
+}
+/**
+ * Averages each value with the values before it, over HISTORY_AVERAGE_WINDOW runs.
+ *
+ * @param values              The value for each run, or null where the run has none.
+ * @returns the trailing average at each run, or null where the run has no value.
+ */
+function movingAverage(values) {
+    return values.map((v, i) => {
+        if (v === null) {
+            return null;
+        }
+        let recent = values.slice(Math.max(i - HISTORY_AVERAGE_WINDOW + 1, 0), i + 1).filter(w => w !== null);
+        return recent.reduce((a, b) => a + b, 0) / recent.length;
+    });
+}
+/// ------------------------------------------------------------------------------------------------
+/// Analytics
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Tallies blast results by their position in the pattern.
+ *
+ * @param runs                The runs to tally.
+ * @returns a tally for each position, indexed from 0.
+ */
+function tallyByPosition(runs) {
+    let tallies = [];
+    for (let i = 0; i < MAX_PATTERN_LENGTH; i++) {
+        tallies.push({ passed: 0, total: 0 });
+    }
+    for (const run of runs) {
+        for (const blast of run.blasts || []) {
+            while (tallies.length <= blast.position) {
+                tallies.push({ passed: 0, total: 0 });
+            }
+            tallies[blast.position].total += 1;
+            tallies[blast.position].passed += blast.passed ? 1 : 0;
+        }
+    }
+    return tallies;
+}
+/**
+ * Tallies blast results by the transition from the previous glyph.
+ *
+ * @param runs                The runs to tally.
+ * @returns a 4x4 grid of tallies, indexed by [previous ElementType][ElementType].
+ */
+function tallyByTransition(runs) {
+    let tallies = ELEMENT_NAMES.map(() => ELEMENT_NAMES.map(() => ({ passed: 0, total: 0 })));
+    for (const run of runs) {
+        for (const blast of run.blasts || []) {
+            if (blast.previous === null) {
+                continue;
+            }
+            tallies[blast.previous][blast.element].total += 1;
+            tallies[blast.previous][blast.element].passed += blast.passed ? 1 : 0;
+        }
+    }
+    return tallies;
+}
+/**
+ * Computes weights that bias pattern generation toward the player's recent mistakes.
+ * Each weight starts at 1 and grows with the failure rate of the matching blasts.
+ *
+ * @param runs                The saved runs, oldest first.
+ * @returns the weights to generate an adaptive pattern with.
+ */
+function adaptiveWeights(runs) {
+    let recent = runs.slice(-ADAPTIVE_RECENT_RUNS);
+    // Add one imaginary pass to every tally so that a single failure doesn't dominate.
+    let weight = (t) => 1 + ADAPTIVE_STRENGTH * (t.total - t.passed) / (t.total + 1);
+    let positions = [];
+    for (let i = 0; i < MAX_PATTERN_LENGTH; i++) {
+        positions.push(ELEMENT_NAMES.map(() => ({ passed: 0, total: 0 })));
+    }
+    for (const run of recent) {
+        for (const blast of run.blasts || []) {
+            if (blast.position < MAX_PATTERN_LENGTH) {
+                positions[blast.position][blast.element].total += 1;
+                positions[blast.position][blast.element].passed += blast.passed ? 1 : 0;
+            }
+        }
+    }
+    return {
+        transitions: tallyByTransition(recent).map(row => row.map(weight)),
+        positions: positions.map(row => row.map(weight)),
+    };
+}
+/**
+ * Determines how many glyphs adaptive mode should use next.
+ * Adds a glyph once the most recent adaptive runs at the current count have all been played well enough.
+ *
+ * @param runs                The saved runs, oldest first.
+ * @param current             The current number of active glyphs.
+ * @returns the number of active glyphs for the next pattern.
+ */
+function adaptiveGlyphCount(runs, current) {
+    if (current >= MAX_PATTERN_LENGTH) {
+        return current;
+    }
+    let recent = [];
+    for (let i = runs.length - 1; i >= 0 && recent.length < ADAPTIVE_PROMOTION_RUNS; i--) {
+        if (!runs[i].settings.adaptive || runs[i].settings.numActiveGlyphs != current) {
+            break;
+        }
+        recent.push(runs[i]);
+    }
+    let passed = recent.reduce((n, run) => n + run.glyphsPassed, 0);
+    let accuracy = passed / (current * ADAPTIVE_PROMOTION_RUNS);
+    return (recent.length == ADAPTIVE_PROMOTION_RUNS && accuracy >= ADAPTIVE_PROMOTION_ACCURACY) ? current + 1 : current;
+}
+/**
+ * Fills in the per-position table and the transition heat grid.
+ *
+ * @param runs                The runs to analyse.
+ */
+function renderAnalytics(runs) {
+    let positionTable = document.getElementById("analytics-positions");
+    if (positionTable) {
+        let rows = "<tr><th>Glyph</th><th>Passed</th><th>Accuracy</th></tr>";
+        tallyByPosition(runs).forEach((t, i) => {
+            rows += `<tr><td>${ordinal(i + 1)}</td><td>${t.passed}/${t.total}</td>` +
+                `<td style="background-color: ${heatFill(t)}">${percent(t.passed, t.total)}</td></tr>`;
+        });
+        positionTable.innerHTML = rows;
+    }
+    let transitionTable = document.getElementById("analytics-transitions");
+    if (transitionTable) {
+        let tallies = tallyByTransition(runs);
+        let rows = "<tr><th>From \\ To</th>" + ELEMENT_NAMES.map(name => `<th>${name}</th>`).join("") + "</tr>";
+        ELEMENT_NAMES.forEach((from, prev) => {
+            let allowed = validNextGlyphs(GLYPH_EVENTS[prev]).map(glyphElement);
+            rows += `<tr><th>${from}</th>`;
+            tallies[prev].forEach((t, next) => {
+                if (allowed.indexOf(next) == -1) {
+                    rows += `<td class="disallowed" title="${from} is never followed by ${ELEMENT_NAMES[next]}">-</td>`;
+                }
+                else {
+                    rows += `<td style="background-color: ${heatFill(t)}" title="${from} to ${ELEMENT_NAMES[next]}: ${t.passed}/${t.total} passed">` +
+                        `${percent(t.passed, t.total)}</td>`;
+                }
+            });
+            rows += "</tr>";
+        });
+        transitionTable.innerHTML = rows;
+    }
+}
+/**
+ * Returns the heat grid colour for a tally. The more blasts failed, the redder the cell.
+ *
+ * @param t                   The tally to colour.
+ * @returns a CSS colour, or transparent if there are no results.
+ */
+function heatFill(t) {
+    if (t.total == 0) {
+        return "transparent";
+    }
+    let failRate = (t.total - t.passed) / t.total;
+    return `rgba(234, 70, 49, ${(0.1 + 0.8 * failRate).toFixed(2)})`;
+}
+/**
+ * Formats a number as an ordinal, e.g. 1st, 2nd, 3rd.
+ *
+ * @param n                   A positive whole number.
+ */
+function ordinal(n) {
+    let suffix = (n % 100 >= 11 && n % 100 <= 13) ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th";
+    return `${n}${suffix}`;
+}
+/**
+ * Formats a ratio as a whole percentage.
+ *
+ * @param n                   The numerator.
+ * @param d                   The denominator.
+ * @returns the percentage, or "-" if the denominator is 0.
+ */
+function percent(n, d) {
+    return d > 0 ? `${Math.round(100 * n / d)}%` : "-";
+}
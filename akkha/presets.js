@@ -0,0 +1,166 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const PRESET_STORAGE_KEY = "akkha-presets";
+const PRESET_VERSION = 1;
+const MAX_PATH_LEVEL = 6;
+/** The path levels at which Akkha adds a glyph to the pattern, on top of the 4 glyphs at level 0. */
+const PATH_LEVEL_GLYPH_STEPS = [2, 4];
+const BUILT_IN_PRESETS = [
+    { name: "Entry (level 0)", pathLevel: 0, doubleTrouble: false, feelingSpecial: false },
+    { name: "Normal (level 2)", pathLevel: 2, doubleTrouble: false, feelingSpecial: false },
+    { name: "Expert (level 4, DT)", pathLevel: 4, doubleTrouble: true, feelingSpecial: false },
+    { name: "Max (level 6, DT + FS)", pathLevel: 6, doubleTrouble: true, feelingSpecial: true },
+];
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/// ------------------------------------------------------------------------------------------------
+/// Path Level
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Determines how many glyphs activate in the pattern at a path level.
+ *
+ * @param pathLevel           Akkha's path level, from 0 to 6.
+ * @returns the number of active glyphs.
+ */
+function glyphsForPathLevel(pathLevel) {
+    return 4 + PATH_LEVEL_GLYPH_STEPS.filter(step => pathLevel >= step).length;
+}
+/**
+ * Determines the lowest path level with a number of active glyphs.
+ *
+ * @param numActiveGlyphs     The number of active glyphs, from 4 to 6.
+ * @returns the path level.
+ */
+function pathLevelForGlyphs(numActiveGlyphs) {
+    return numActiveGlyphs <= 4 ? 0 : PATH_LEVEL_GLYPH_STEPS[Math.min(numActiveGlyphs - 5, PATH_LEVEL_GLYPH_STEPS.length - 1)];
+}
+/**
+ * Moves the path level selector to match the Active Glyphs setting after it was changed some other way,
+ * e.g. by a link or by adaptive mode. A level that already matches is left alone.
+ */
+function syncPathLevel() {
+    let plInput = document.getElementById("pl");
+    let agInput = document.getElementById("ag");
+    let numActiveGlyphs = Number(agInput.value);
+    if (glyphsForPathLevel(Number(plInput.value)) != numActiveGlyphs) {
+        plInput.value = String(pathLevelForGlyphs(numActiveGlyphs));
+    }
+}
+/**
+ * Callback for the path level selector. Derives the number of active glyphs from the chosen level.
+ */
+function applyPathLevel() {
+    let plInput = document.getElementById("pl");
+    let agInput = document.getElementById("ag");
+    agInput.value = String(glyphsForPathLevel(Number(plInput.value)));
+}
+/// ------------------------------------------------------------------------------------------------
+/// Storage
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Reads the presets the user has saved.
+ *
+ * @returns the saved presets, or an empty list if there are none or they can't be read.
+ */
+function loadPresets() {
+    try {
+        let saved = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY) || "null");
+        if (saved && saved.version == PRESET_VERSION && Array.isArray(saved.presets)) {
+            return saved.presets;
+        }
+    }
+    catch (e) {
+        console.warn("Could not read the saved presets.", e);
+    }
+    return [];
+}
+/**
+ * Replaces the saved presets.
+ *
+ * @param presets             The presets to save.
+ */
+function storePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify({ version: PRESET_VERSION, presets: presets }));
+    }
+    catch (e) {
+        console.warn("Could not save the presets.", e);
+    }
+}
+/**
+ * Saves the current settings as a named preset, replacing any saved preset with the same name.
+ */
+function savePreset() {
+    let name = (prompt("Name this preset, e.g. \"our 300 invo setup\":") || "").trim();
+    if (!name) {
+        return;
+    }
+    let plInput = document.getElementById("pl");
+    let settings = readSettings();
+    let preset = {
+        name: name,
+        pathLevel: Number(plInput.value),
+        doubleTrouble: settings.doubleTrouble,
+        feelingSpecial: settings.feelingSpecial,
+        settings: settings,
+    };
+    storePresets(loadPresets().filter(p => p.name != name).concat([preset]));
+    renderPresets(name);
+}
+/**
+ * Deletes the selected saved preset. Built-in presets can't be deleted.
+ */
+function deletePreset() {
+    let presetInput = document.getElementById("preset");
+    let name = presetInput.value.replace(/^saved:/, "");
+    if (!presetInput.value.startsWith("saved:") || !confirm(`Delete the preset "${name}"?`)) {
+        return;
+    }
+    storePresets(loadPresets().filter(p => p.name != name));
+    renderPresets();
+}
+/// ------------------------------------------------------------------------------------------------
+/// Selector
+/// ------------------------------------------------------------------------------------------------
+/**
+ * Fills the preset selector with the built-in and saved presets.
+ *
+ * @param selected            The name of the saved preset to select, if any.
+ */
+function renderPresets(selected) {
+    let presetInput = document.getElementById("preset");
+    let options = [`<option value="">Custom</option>`];
+    BUILT_IN_PRESETS.forEach((p, i) => options.push(`<option value="built-in:${i}">${escapeHtml(p.name)}</option>`));
+    loadPresets().forEach(p => options.push(`<option value="saved:${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`));
+    presetInput.innerHTML = options.join("");
+    presetInput.value = selected ? `saved:${selected}` : "";
+}
+/**
+ * Callback for the preset selector. Fills in the settings controls from the chosen preset.
+ */
+function applyPreset() {
+    let presetInput = document.getElementById("preset");
+    let value = presetInput.value;
+    let preset = value.startsWith("built-in:")
+        ? BUILT_IN_PRESETS[Number(value.slice("built-in:".length))]
+        : loadPresets().find(p => `saved:${p.name}` == value);
+    if (!preset) {
+        return;
+    }
+    writeSettings(Object.assign(Object.assign({}, (preset.settings || readSettings())), { doubleTrouble: preset.doubleTrouble, feelingSpecial: preset.feelingSpecial, numActiveGlyphs: glyphsForPathLevel(preset.pathLevel) }));
+    let plInput = document.getElementById("pl");
+    plInput.value = String(clamp(preset.pathLevel, 0, MAX_PATH_LEVEL));
+}
+/**
+ * Escapes text for use inside HTML, so preset names show as typed.
+ *
+ * @param text                The text to escape.
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
@@ -0,0 +1,175 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+
+/**
+ * A glyph entered by the player while recalling the sequence.
+ */
+interface RecallAnswer {
+    element: ElementType;
+    correct: boolean;
+    /** The time taken to enter this glyph, in milliseconds since the previous glyph or the start of the recall. */
+    time: number;
+}
+
+/**
+ * The player's attempt to recall the pattern once the glyphs have finished lighting up.
+ */
+interface RecallAttempt {
+    /** The elements of the glyphs in the order they lit up. */
+    pattern: ElementType[];
+    answers: RecallAnswer[];
+    /** When the recall started, from performance.now(). */
+    startTime: number;
+    /** When the most recent glyph was entered, from performance.now(). */
+    lastTime: number;
+}
+
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+
+/** The keys that enter each glyph while recalling: its number in GLYPHS order, or its element's initial. */
+const RECALL_KEYS: { [key: string]: ElementType } = {
+    "1": ElementType.Fire,
+    "2": ElementType.Shadow,
+    "3": ElementType.Ice,
+    "4": ElementType.Lightning,
+    "f": ElementType.Fire,
+    "s": ElementType.Shadow,
+    "i": ElementType.Ice,
+    "l": ElementType.Lightning,
+};
+
+/** The most glyphs a recall quiz pattern can have, however long the streak gets. */
+const MAX_RECALL_GLYPHS = 20;
+
+const RECALL_CORRECT_STROKE = "#4fc24f";
+const RECALL_WRONG_STROKE   = "#e04848";
+
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+
+/** The current recall attempt, or null outside of the recall. Kept after the recall ends to show the results. */
+let RECALL: RecallAttempt | null = null;
+
+/** The number of patterns in a row recalled without a mistake. Each one adds a glyph to the next pattern. */
+let RECALL_STREAK = 0;
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/**
+ * Determines whether the player is entering the pattern they remember.
+ */
+function isRecalling(): boolean {
+    return RECALL !== null && RECALL.answers.length < RECALL.pattern.length;
+}
+
+/**
+ * Starts the recall once the glyphs have finished lighting up.
+ *
+ * @param pattern             The ordering of the glyphs.
+ */
+function startRecall(pattern: EventType[]) {
+    let now = performance.now();
+    RECALL = {
+        pattern: pattern.map(glyphElement),
+        answers: [],
+        startTime: now,
+        lastTime: now,
+    };
+    renderRecallStatus();
+}
+
+/**
+ * Enters the next glyph of the recall.
+ *
+ * @param element             The element of the glyph the player chose.
+ */
+function answerRecall(element: ElementType) {
+    if (!RECALL || !isRecalling()) {
+        return;
+    }
+
+    let now = performance.now();
+    RECALL.answers.push({
+        element: element,
+        correct: RECALL.pattern[RECALL.answers.length] == element,
+        time: now - RECALL.lastTime,
+    });
+    RECALL.lastTime = now;
+
+    if (!isRecalling()) {
+        RECALL_STREAK = RECALL.answers.every(a => a.correct) ? RECALL_STREAK + 1 : 0;
+    }
+    renderRecallStatus();
+}
+
+/**
+ * Forgets the recall, e.g. when a new run starts.
+ */
+function clearRecall() {
+    RECALL = null;
+    renderRecallStatus();
+}
+
+/**
+ * Determines which glyph is on a tile.
+ *
+ * @param p                   The tile.
+ * @returns the element of the glyph on the tile, or null if there is none.
+ */
+function getGlyphAt(p: Point): ElementType | null {
+    let element = GLYPH_POSITIONS.findIndex(g => g.x == p.x && g.y == p.y);
+    return element == -1 ? null : element;
+}
+
+/**
+ * Shows the progress or results of the recall below the arena.
+ */
+function renderRecallStatus() {
+    let status = document.getElementById("recall-status");
+    if (!status) {
+        return;
+    }
+
+    if (!RECALL) {
+        status.innerHTML = "";
+        return;
+    }
+
+    let entered = RECALL.answers.map(a =>
+        `${ELEMENT_NAMES[a.element]} ${a.correct ? "&#10003;" : "&#10007;"} (${(a.time / 1000).toFixed(1)}s)`).join(", ");
+
+    if (isRecalling()) {
+        status.innerHTML = `Recall glyph ${RECALL.answers.length + 1} of ${RECALL.pattern.length}` +
+            " by clicking the glyphs or pressing 1-4 / F, S, I, L." + (entered ? `<br>${entered}` : "");
+        return;
+    }
+
+    let correct = RECALL.answers.filter(a => a.correct).length;
+    let seconds = (RECALL.lastTime - RECALL.startTime) / 1000;
+    let answer = RECALL.pattern.map(e => ELEMENT_NAMES[e]).join(", ");
+    status.innerHTML = `Recalled ${correct}/${RECALL.pattern.length} in ${seconds.toFixed(1)}s. ` +
+        `Streak: ${RECALL_STREAK}, so the next pattern has ${RECALL_STREAK} extra glyph${RECALL_STREAK == 1 ? "" : "s"}.` +
+        `<br>${entered}<br>Pattern: ${answer}`;
+}
+
+/**
+ * Outlines the glyph the player most recently entered, in green if it was right or red if it was wrong.
+ *
+ * @param c                   The context to draw on.
+ */
+function drawRecallFeedback(c: CanvasRenderingContext2D = ctx) {
+    if (!RECALL || RECALL.answers.length == 0) {
+        return;
+    }
+
+    let last = RECALL.answers[RECALL.answers.length - 1];
+    c.lineWidth = 3;
+    highlightTile(GLYPH_POSITIONS[last.element], last.correct ? RECALL_CORRECT_STROKE : RECALL_WRONG_STROKE, c);
+    c.lineWidth = 1;
+}
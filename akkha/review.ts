@@ -0,0 +1,235 @@
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const RUN_PATHS_STORAGE_KEY = "akkha-paths";
+const RUN_PATHS_VERSION = 1;
+
+/** The most runs whose paths are kept for the heatmap. */
+const MAX_RUN_PATHS = 50;
+
+/** How many of the most recent runs the heatmap covers to begin with. */
+const DEFAULT_HEATMAP_RUNS = 10;
+
+const REVIEW_PATH_STROKE    = "#00efef";
+const REVIEW_LABEL_FILL     = "#fefefe";
+const REVIEW_PASSED_STROKE  = "#7dff7a";
+const REVIEW_FAILED_STROKE  = "#ff3b30";
+const REVIEW_TANKED_STROKE  = "#d35eed";
+
+/** The colour of the heatmap, drawn more opaque on the tiles stood on the most. */
+const HEATMAP_FILL = "#ffa500";
+const HEATMAP_MAX_ALPHA = 0.6;
+
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+let REVIEW_OPTIONS = {
+    enabled: false,
+    heatmapRuns: DEFAULT_HEATMAP_RUNS,
+};
+
+/** The paths of recent runs, oldest first, or null until they are first read from localStorage. */
+let RUN_PATHS: { x: number, y: number }[][] | null = null;
+
+/** How many ticks the player ended on each tile over the runs the heatmap covers, keyed by Point.toKey(). */
+let HEATMAP_COUNTS: Map<string, { pos: Point, count: number }> = new Map();
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/// ------------------------------------------------------------------------------------------------
+/// Storage
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Loads the paths of recent runs from localStorage.
+ *
+ * @returns the tile the player ended each tick on, for each run, oldest run first.
+ */
+function loadRunPaths(): { x: number, y: number }[][] {
+    try {
+        let saved = JSON.parse(localStorage.getItem(RUN_PATHS_STORAGE_KEY) || "null");
+        if (saved && saved.version == RUN_PATHS_VERSION && Array.isArray(saved.paths)) {
+            return saved.paths;
+        }
+    } catch (e) {
+        console.warn("Could not read the run paths.", e);
+    }
+
+    return [];
+}
+
+/**
+ * Writes the paths of recent runs to localStorage, and updates the heatmap to match.
+ *
+ * @param paths               The paths to save, oldest run first.
+ */
+function storeRunPaths(paths: { x: number, y: number }[][]) {
+    try {
+        localStorage.setItem(RUN_PATHS_STORAGE_KEY, JSON.stringify({ version: RUN_PATHS_VERSION, paths: paths }));
+    } catch (e) {
+        console.warn("Could not save the run paths.", e);
+    }
+    refreshHeatmap(paths);
+}
+
+/**
+ * Saves the path of a completed run for the heatmap. Only the most recent MAX_RUN_PATHS runs are kept.
+ *
+ * @param recording           The ticks of the run.
+ */
+function saveRunPath(recording: TickRecord[]) {
+    let paths = (RUN_PATHS || loadRunPaths()).concat([recording.map(r => ({ x: r.state.player.x, y: r.state.player.y }))]);
+    storeRunPaths(paths.slice(-MAX_RUN_PATHS));
+}
+
+/**
+ * Caches the paths of recent runs, and counts the ticks spent on each tile over the runs the heatmap covers,
+ * so that redrawing the review doesn't read them again.
+ *
+ * @param paths               The paths of recent runs, oldest first.
+ */
+function refreshHeatmap(paths: { x: number, y: number }[][]) {
+    RUN_PATHS = paths;
+    HEATMAP_COUNTS = new Map();
+    for (const path of paths.slice(Math.max(0, paths.length - REVIEW_OPTIONS.heatmapRuns))) {
+        for (const p of path) {
+            let pos = new Point(p.x, p.y);
+            let entry = HEATMAP_COUNTS.get(pos.toKey()) || { pos: pos, count: 0 };
+            entry.count += 1;
+            HEATMAP_COUNTS.set(pos.toKey(), entry);
+        }
+    }
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Review Layer
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Callback for the review controls.
+ */
+function readReviewOptions() {
+    REVIEW_OPTIONS = {
+        enabled: (document.getElementById("review") as HTMLInputElement).checked,
+        heatmapRuns: clamp(Number((document.getElementById("heatmap-runs") as HTMLInputElement).value) || 0, 0, MAX_RUN_PATHS),
+    };
+    refreshHeatmap(loadRunPaths());
+    redraw();
+}
+
+/**
+ * Determines whether the review is drawn over a state. It is shown once a run is over, and while replaying it,
+ * so that it doesn't give anything away during a live run.
+ *
+ * @param state               The state being shown.
+ */
+function isReviewShown(state: EngineSnapshot): boolean {
+    let finished = state.isDead || (state.sequence.length > 0 && state.tick >= state.sequence.length);
+    return REVIEW_OPTIONS.enabled && RECORDING.length > 0 && (finished || IS_REPLAYING);
+}
+
+/**
+ * Draws the review of the run: a heatmap of where the player stood over recent runs, the path taken with the
+ * tick each tile was stood on, where the player stood as each blast resolved, and where orbs were tanked.
+ *
+ * @param state               The state being shown. During a replay, only the ticks up to it are drawn.
+ * @param c                   The context to draw on.
+ */
+function drawReview(state: EngineSnapshot, c: CanvasRenderingContext2D = ctx) {
+    if (!isReviewShown(state)) {
+        return;
+    }
+
+    drawHeatmap(c);
+
+    let records = RECORDING.filter(r => r.tick < state.tick);
+    let tiles = records.map(r => new Point(r.state.player.x, r.state.player.y));
+    drawRouteLine([ORIGIN].concat(tiles), REVIEW_PATH_STROKE, 0.5, c);
+
+    // Label each tile with the ticks spent on it, e.g. "3-5,9" for a player who waited there, then came back.
+    let ticks: Map<string, { pos: Point, ticks: number[] }> = new Map();
+    records.forEach((r, i) => {
+        let key = tiles[i].toKey();
+        let entry = ticks.get(key) || { pos: tiles[i], ticks: [] };
+        entry.ticks.push(r.tick + 1);
+        ticks.set(key, entry);
+    });
+    c.font = `${Math.round(TILE_SIZE * 0.3)}px Arial, Helvetica, sans-serif`;
+    c.textAlign = "center";
+    c.textBaseline = "top";
+    c.fillStyle = REVIEW_LABEL_FILL;
+    for (const entry of ticks.values()) {
+        c.fillText(formatTickRanges(entry.ticks), (entry.pos.x + 0.5) * TILE_SIZE, (entry.pos.y + 0.05) * TILE_SIZE);
+    }
+
+    // A blast resolves on its Stage1 tick, with the player where they ended that tick.
+    c.textBaseline = "bottom";
+    let blastNumber = 0;
+    records.forEach((r, i) => {
+        if (r.passedBlast !== null) {
+            blastNumber += 1;
+            let stroke = r.passedBlast ? REVIEW_PASSED_STROKE : REVIEW_FAILED_STROKE;
+            highlightTile(tiles[i], stroke, c);
+            c.fillStyle = stroke;
+            c.fillText(`B${blastNumber}`, (tiles[i].x + 0.5) * TILE_SIZE, (tiles[i].y + 0.95) * TILE_SIZE);
+        }
+        if (r.tankedOrb) {
+            drawCross(tiles[i], REVIEW_TANKED_STROKE, c);
+        }
+    });
+}
+
+/**
+ * Shades each tile by how many ticks the player ended on it, over the runs the heatmap covers.
+ *
+ * @param c                   The context to draw on.
+ */
+function drawHeatmap(c: CanvasRenderingContext2D = ctx) {
+    let max = Math.max(0, ...Array.from(HEATMAP_COUNTS.values(), e => e.count));
+    for (const entry of HEATMAP_COUNTS.values()) {
+        c.globalAlpha = HEATMAP_MAX_ALPHA * entry.count / max;
+        drawSquare(entry.pos, 1, HEATMAP_FILL, c);
+    }
+    c.globalAlpha = 1;
+}
+
+/**
+ * Draws a cross over a tile.
+ *
+ * @param pos                 The tile to mark.
+ * @param stroke              The colour of the cross.
+ * @param c                   The context to draw on.
+ */
+function drawCross(pos: Point, stroke: string, c: CanvasRenderingContext2D = ctx) {
+    c.beginPath();
+    c.moveTo((pos.x + 0.2) * TILE_SIZE, (pos.y + 0.2) * TILE_SIZE);
+    c.lineTo((pos.x + 0.8) * TILE_SIZE, (pos.y + 0.8) * TILE_SIZE);
+    c.moveTo((pos.x + 0.8) * TILE_SIZE, (pos.y + 0.2) * TILE_SIZE);
+    c.lineTo((pos.x + 0.2) * TILE_SIZE, (pos.y + 0.8) * TILE_SIZE);
+    c.strokeStyle = stroke;
+    c.lineWidth = 3;
+    c.stroke();
+    c.lineWidth = 1;
+}
+
+/**
+ * Writes a sorted list of ticks compactly, collapsing consecutive ticks into ranges, e.g. "3-5,9".
+ *
+ * @param ticks               The ticks in ascending order.
+ */
+function formatTickRanges(ticks: number[]): string {
+    let ranges: string[] = [];
+    let i = 0;
+    while (i < ticks.length) {
+        let j = i;
+        while (j + 1 < ticks.length && ticks[j + 1] == ticks[j] + 1) {
+            j++;
+        }
+        ranges.push(i == j ? String(ticks[i]) : `${ticks[i]}-${ticks[j]}`);
+        i = j + 1;
+    }
+
+    return ranges.join(",");
+}
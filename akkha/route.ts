@@ -0,0 +1,653 @@
+/// ================================================================================================
+/// Classes
+/// ================================================================================================
+
+/**
+ * A click the ideal player makes.
+ */
+interface RouteClick {
+    /** The tick the click is picked up on. */
+    tick: number;
+    target: Point;
+}
+
+/**
+ * A route through a memory blast that passes every blast without touching a magical orb, with the fewest clicks
+ * of any route that the search considers. See RouteSearch for which routes those are.
+ */
+interface RoutePlan {
+    clicks: RouteClick[];
+    /** The ideal player's tile at the end of each tick, indexed by tick. */
+    positions: Point[];
+}
+
+/**
+ * A partial route explored by the search, up to the end of a blast.
+ */
+interface RouteNode {
+    /** The engine state after the last tick played out. */
+    state: EngineSnapshot;
+    clicks: RouteClick[];
+    /** The number of blasts the route passes. */
+    stage: number;
+}
+
+/**
+ * A state the ideal player can reach at the end of a blast when magical orbs are ignored.
+ */
+interface RelaxedNode {
+    /** The engine state, until the clicks from it have been played out. */
+    state: EngineSnapshot | null;
+    /** The states the clicks from this one lead to, and whether each takes a click. */
+    edges: { clicks: number, next: RelaxedNode }[];
+    /** The fewest clicks that pass every remaining blast from this state, or Infinity if none do. */
+    fewestClicks: number;
+}
+
+/**
+ * How a route search ended.
+ *
+ * "found" if it found the route, "no-blasts" if there are no blasts to route through (e.g. in a recall quiz),
+ * "gave-up" if it hit ROUTE_MAX_SIMULATIONS first, and "no-route" if none of the routes it considers are safe.
+ */
+type RouteOutcome = "found" | "no-blasts" | "gave-up" | "no-route";
+
+/**
+ * Searches for the route through a memory blast with the fewest clicks, a little at a time, so that it can run
+ * between frames.
+ *
+ * Plays every candidate click through an engine, so the movement rules, Double Trouble and Feeling Special orbs
+ * and teammates all behave exactly as in a run. The search considers every route that, between one blast and
+ * the next, either doesn't click, or clicks once on a tile of the next safe quadrant near the centre, up to
+ * ROUTE_CLICK_WINDOW ticks before the blast and no earlier than the tick after its glyph lights up. Among those,
+ * the route found has the fewest clicks possible, and if none is found, none of them are safe.
+ *
+ * The search runs in two passes. The first plays out every route with magical orbs and teammates left out,
+ * and works back from the last blast to find the fewest clicks that pass the remaining blasts from each state.
+ * Orbs only ever rule routes out, so that is a lower bound on the clicks left with orbs too. The second pass
+ * plays out the routes with orbs, always extending the one whose clicks plus that bound are fewest (A* search),
+ * so the first route to pass every blast has the fewest clicks.
+ */
+class RouteSearch {
+    /** The outcome of the search, or null while it is still searching. */
+    outcome: RouteOutcome | null;
+    /** The route found, if any. */
+    plan: RoutePlan | null;
+    /** The number of candidate clicks played out so far. */
+    simulations: number;
+
+    /** The state the route starts from. */
+    start: EngineSnapshot;
+    /** The engine the candidate clicks are played out on. */
+    engine: AkkhaEngine;
+    /** The tick each blast resolves on, and its safe quadrant. */
+    blasts: { tick: number, element: ElementType }[];
+    /** The tick each glyph lights up on. */
+    glyphTicks: number[];
+
+    /** Whether the search is still on its first pass, with magical orbs left out. */
+    isRelaxed: boolean;
+    /** The states of the first pass, keyed by routeKey(). */
+    relaxed: Map<string, RelaxedNode>;
+    /** The states of the first pass reached at the end of each blast, with the starting state first. */
+    relaxedStages: RelaxedNode[][];
+    /** The index in relaxedStages of the blast the first pass is playing out. */
+    stage: number;
+    /** The index in relaxedStages[stage] of the state being played out from. */
+    nodeIndex: number;
+
+    /** The partial routes of the second pass yet to be extended, indexed by their clicks plus the bound on the rest. */
+    open: RouteNode[][];
+    /** The states of the second pass already extended from, keyed by routeKey(). */
+    closed: Set<string>;
+    /** The index in open of the partial routes being extended. */
+    cost: number;
+    /** The partial route of the second pass being extended. */
+    node: RouteNode | null;
+    /** The most blasts any partial route of the second pass has passed. */
+    furthestStage: number;
+
+    /** The clicks to try from the state being played out from. */
+    options: (RouteClick | null)[];
+    /** The index in options of the next click to try. */
+    optionIndex: number;
+
+    /**
+     * @param start               The state the route starts from. Only its pattern, sequence and settings are used.
+     */
+    constructor(start: EngineSnapshot) {
+        this.outcome = null;
+        this.plan = null;
+        this.simulations = 0;
+        this.start = start;
+        this.engine = new AkkhaEngine();
+        this.blasts = [];
+        this.glyphTicks = [];
+        this.isRelaxed = true;
+        this.relaxed = new Map();
+        this.relaxedStages = [];
+        this.stage = 0;
+        this.nodeIndex = 0;
+        this.open = [];
+        this.closed = new Set();
+        this.cost = 0;
+        this.node = null;
+        this.furthestStage = 0;
+        this.options = [];
+        this.optionIndex = 0;
+
+        this.engine.restore(start);
+        this.engine.reset();
+        this.start = this.engine.snapshot();
+
+        // With a scenario, a glyph or blast can overlap another event, so look at every event on each tick.
+        this.engine.sequence.forEach((event, tick) => {
+            let events = (this.engine.concurrent[tick] || []).concat([event]);
+            let blast = events.find(isBlastEvent);
+            if (blast !== undefined) {
+                this.blasts.push({ tick: tick, element: blastElement(blast) });
+            }
+            if (events.some(isGlyphEvent)) {
+                this.glyphTicks.push(tick);
+            }
+        });
+        if (this.blasts.length == 0) {
+            this.outcome = "no-blasts";
+            return;
+        }
+
+        let first: RelaxedNode = { state: withoutOrbs(this.start), edges: [], fewestClicks: Infinity };
+        this.relaxed.set(routeKey(0, first.state!), first);
+        this.relaxedStages = this.blasts.map(() => []).concat([[]]);
+        this.relaxedStages[0].push(first);
+        this.listOptions(0, this.start.tick);
+    }
+
+    /** How far through the search is, from 0 to 1. Each pass counts for half. */
+    get progress(): number {
+        if (this.blasts.length == 0) {
+            return 1;
+        }
+        return this.isRelaxed ? this.stage / this.blasts.length / 2 : 0.5 + this.furthestStage / this.blasts.length / 2;
+    }
+
+    /**
+     * Plays out the next candidate click. Does nothing once the search has ended.
+     */
+    step() {
+        if (this.outcome !== null) {
+            return;
+        }
+        if (this.simulations >= ROUTE_MAX_SIMULATIONS) {
+            this.outcome = "gave-up";
+            return;
+        }
+
+        if (this.isRelaxed) {
+            this.stepRelaxed();
+        } else {
+            this.stepRoute();
+        }
+    }
+
+    /**
+     * Plays out the next click of the first pass, with magical orbs left out.
+     */
+    stepRelaxed() {
+        let node = this.relaxedStages[this.stage][this.nodeIndex];
+        let click = this.options[this.optionIndex];
+        this.optionIndex += 1;
+        this.simulations += 1;
+
+        let state = playRoute(this.engine, node.state!, click, this.lastTick(this.stage));
+        if (state) {
+            let key = routeKey(this.stage + 1, state);
+            let next = this.relaxed.get(key);
+            if (!next) {
+                next = { state: state, edges: [], fewestClicks: Infinity };
+                this.relaxed.set(key, next);
+                this.relaxedStages[this.stage + 1].push(next);
+            }
+            node.edges.push({ clicks: click ? 1 : 0, next: next });
+        }
+
+        if (this.optionIndex < this.options.length) {
+            return;
+        }
+
+        // Each state is only played out from once, so it can be let go of.
+        node.state = null;
+        this.nodeIndex += 1;
+        if (this.nodeIndex == this.relaxedStages[this.stage].length) {
+            this.stage += 1;
+            this.nodeIndex = 0;
+        }
+
+        let nodes = this.relaxedStages[this.stage];
+        if (this.stage < this.blasts.length && nodes.length > 0) {
+            this.listOptions(this.stage, nodes[this.nodeIndex].state!.tick);
+        } else {
+            this.finishRelaxed();
+        }
+    }
+
+    /**
+     * Works back from the last blast to find the fewest clicks from each state of the first pass,
+     * then starts the second pass.
+     */
+    finishRelaxed() {
+        for (let stage = this.blasts.length; stage >= 0; stage--) {
+            for (const node of this.relaxedStages[stage]) {
+                node.state = null;
+                node.fewestClicks = stage == this.blasts.length ? 0 :
+                    Math.min(Infinity, ...node.edges.map(e => e.clicks + e.next.fewestClicks));
+            }
+        }
+
+        this.isRelaxed = false;
+        this.addRoute({ state: this.start, clicks: [], stage: 0 });
+        this.nextRoute();
+    }
+
+    /**
+     * Plays out the next click of the second pass, extending the current partial route.
+     */
+    stepRoute() {
+        let node = this.node!;
+        let click = this.options[this.optionIndex];
+        this.optionIndex += 1;
+        this.simulations += 1;
+
+        let state = playRoute(this.engine, node.state, click, this.lastTick(node.stage));
+        if (state) {
+            this.addRoute({ state: state, clicks: click ? node.clicks.concat([click]) : node.clicks, stage: node.stage + 1 });
+        }
+
+        if (this.optionIndex == this.options.length) {
+            this.nextRoute();
+        }
+    }
+
+    /**
+     * Adds a partial route to the second pass, unless no route from where it ends passes the remaining blasts
+     * even with magical orbs left out.
+     *
+     * @param node                The partial route.
+     */
+    addRoute(node: RouteNode) {
+        let relaxed = this.relaxed.get(routeKey(node.stage, withoutOrbs(node.state)));
+        if (!relaxed || relaxed.fewestClicks == Infinity) {
+            return;
+        }
+
+        let cost = node.clicks.length + relaxed.fewestClicks;
+        while (this.open.length <= cost) {
+            this.open.push([]);
+        }
+        this.open[cost].push(node);
+    }
+
+    /**
+     * Picks the partial route to extend next: one with the fewest clicks it could end up with. Ends the search
+     * once that route passes every blast, or there are none left.
+     */
+    nextRoute() {
+        for (; this.cost < this.open.length; this.cost++) {
+            let bucket = this.open[this.cost];
+            while (bucket.length > 0) {
+                let node = bucket.pop()!;
+                if (node.stage == this.blasts.length) {
+                    this.plan = this.replay(node.clicks);
+                    this.outcome = "found";
+                    return;
+                }
+
+                let key = routeKey(node.stage, node.state);
+                if (this.closed.has(key)) {
+                    continue;
+                }
+                this.closed.add(key);
+
+                this.node = node;
+                this.furthestStage = Math.max(this.furthestStage, node.stage);
+                this.listOptions(node.stage, node.state.tick);
+                return;
+            }
+        }
+
+        this.outcome = "no-route";
+    }
+
+    /**
+     * Returns the last tick to play out for a blast. The last blast plays out to the end,
+     * so that no orb is touched after it either.
+     *
+     * @param stage               The index of the blast.
+     */
+    lastTick(stage: number): number {
+        return stage == this.blasts.length - 1 ? this.engine.sequence.length - 1 : this.blasts[stage].tick;
+    }
+
+    /**
+     * Lists the clicks to try for a blast: none, or one on each target tile on each tick of the click window.
+     *
+     * @param stage               The index of the blast.
+     * @param tick                The tick the state being played out from is on.
+     */
+    listOptions(stage: number, tick: number) {
+        let blastTick = this.blasts[stage].tick;
+        let earliest = Math.max(tick, this.glyphTicks[stage] + 1, blastTick - ROUTE_CLICK_WINDOW);
+        let targets = routeTargets(this.blasts[stage].element, this.engine.settings.solidGlyphs);
+
+        this.options = [ null ];
+        for (let t = earliest; t <= blastTick; t++) {
+            targets.forEach(target => this.options.push({ tick: t, target: target }));
+        }
+        this.optionIndex = 0;
+    }
+
+    /**
+     * Plays a route again from the start to record where the ideal player stands on each tick.
+     *
+     * @param clicks              The clicks of the route.
+     */
+    replay(clicks: RouteClick[]): RoutePlan {
+        this.engine.restore(this.start);
+        let positions: Point[] = [];
+        while (!this.engine.isFinished()) {
+            let click = clicks.find(c => c.tick == this.engine.tick);
+            this.engine.step(click ? click.target : null);
+            positions.push(new Point(this.engine.player.x, this.engine.player.y));
+        }
+
+        return { clicks: clicks, positions: positions };
+    }
+}
+
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+
+/** How many ticks before a blast the search tries clicking for it. */
+const ROUTE_CLICK_WINDOW = 6;
+
+/** How far from the centre of the arena, in tiles, the search tries standing. */
+const ROUTE_TARGET_RANGE = 3;
+
+/** The most candidate clicks the search plays out for one pattern before giving up. */
+const ROUTE_MAX_SIMULATIONS = 250000;
+
+/** How long the search runs for at a time, in milliseconds, before letting the page draw and respond. */
+const ROUTE_SLICE_DURATION = 12;
+
+const IDEAL_ROUTE_STROKE  = "#7dff7a";
+const ACTUAL_ROUTE_STROKE = "#00efef";
+const GHOST_FILL          = "#7dff7a";
+const GHOST_ALPHA         = 0.5;
+
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+let ROUTE_OPTIONS = {
+    ideal: false,
+    ghost: false,
+};
+
+/** The search for the current pattern's route. Only started while the route is shown. */
+let ROUTE_SEARCH: RouteSearch | null = null;
+
+/** Describes the pattern and settings ROUTE_SEARCH is for, so that each pattern is only searched once. */
+let ROUTE_SEARCH_KEY: string | null = null;
+
+let ROUTE_TIMER: number | null = null;
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/// ------------------------------------------------------------------------------------------------
+/// Search
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Plays out a partial route up to a tick.
+ *
+ * @param engine              The engine to play the route on.
+ * @param from                The state to play from.
+ * @param click               The click to make on the way, if any.
+ * @param lastTick            The last tick to play out.
+ * @returns the state after lastTick, or null if the player touched a magical orb, failed a blast or died.
+ */
+function playRoute(engine: AkkhaEngine, from: EngineSnapshot, click: RouteClick | null, lastTick: number): EngineSnapshot | null {
+    engine.restore(from);
+    while (engine.tick <= lastTick) {
+        let result = engine.step(click && click.tick == engine.tick ? click.target : null);
+        if (!result || result.tankedOrb || result.passedBlast === false || result.died) {
+            return null;
+        }
+    }
+
+    return engine.snapshot();
+}
+
+/**
+ * Describes everything about a state at the end of a blast that the rest of a route depends on,
+ * so that the search only plays out from each such state once.
+ *
+ * @param stage               The number of blasts passed.
+ * @param state               The state.
+ */
+function routeKey(stage: number, state: EngineSnapshot): string {
+    return JSON.stringify([
+        stage, state.player, state.path, state.runEnergy, state.isRunning,
+        state.orbs.map(o => [o.x, o.y, o.spawnTick]),
+        state.teammates.map(t => [t.x, t.y, t.path]),
+    ]);
+}
+
+/**
+ * Returns a state with Double Trouble off and no teammates, whose only effect on the player is their orbs.
+ *
+ * @param state               The state.
+ */
+function withoutOrbs(state: EngineSnapshot): EngineSnapshot {
+    return { ...state, settings: { ...state.settings, doubleTrouble: false, teammateSkills: [] }, orbs: [], teammates: [] };
+}
+
+/**
+ * Returns the tiles the search tries standing on to be safe from a blast: those of the safe quadrant
+ * within ROUTE_TARGET_RANGE tiles of the centre, where moving between quadrants is quickest.
+ *
+ * @param element             The ElementType of the safe quadrant.
+ * @param solidGlyphs         Whether the glyph tiles block movement.
+ */
+function routeTargets(element: ElementType, solidGlyphs: boolean): Point[] {
+    let targets: Point[] = [];
+    for (let x = ORIGIN.x - ROUTE_TARGET_RANGE; x < ORIGIN.x + ROUTE_TARGET_RANGE; x++) {
+        for (let y = ORIGIN.y - ROUTE_TARGET_RANGE; y < ORIGIN.y + ROUTE_TARGET_RANGE; y++) {
+            let p = new Point(x, y);
+            if (quadrantContains(element, p) && !isTileBlocked(p, solidGlyphs)) {
+                targets.push(p);
+            }
+        }
+    }
+
+    return targets;
+}
+
+/**
+ * Returns the search for the pattern being played, starting it the first time it's needed.
+ * The search runs in slices between frames, and the route layer is redrawn once it ends.
+ *
+ * @param state               The state being shown.
+ */
+function currentRouteSearch(state: EngineSnapshot): RouteSearch {
+    let key = JSON.stringify([state.seed, state.pattern, state.sequence, state.concurrent, state.settings]);
+    if (key != ROUTE_SEARCH_KEY || !ROUTE_SEARCH) {
+        cancelRouteSearch();
+        ROUTE_SEARCH = new RouteSearch(state);
+        ROUTE_SEARCH_KEY = key;
+        ROUTE_TIMER = setTimeout(continueRouteSearch, 0);
+    }
+
+    return ROUTE_SEARCH;
+}
+
+/**
+ * Runs the route search for one slice, then schedules the next slice, or redraws once the search has ended.
+ */
+function continueRouteSearch() {
+    ROUTE_TIMER = null;
+    let search = ROUTE_SEARCH;
+    if (!search) {
+        return;
+    }
+
+    let deadline = performance.now() + ROUTE_SLICE_DURATION;
+    while (search.outcome === null && performance.now() < deadline) {
+        search.step();
+    }
+
+    if (search.outcome === null) {
+        renderRouteStatus();
+        ROUTE_TIMER = setTimeout(continueRouteSearch, 0);
+    } else {
+        redraw();
+    }
+}
+
+/**
+ * Stops the route search, e.g. when the route is hidden. It starts over when the route is next shown.
+ */
+function cancelRouteSearch() {
+    if (ROUTE_TIMER !== null) {
+        clearTimeout(ROUTE_TIMER);
+        ROUTE_TIMER = null;
+    }
+    ROUTE_SEARCH = null;
+    ROUTE_SEARCH_KEY = null;
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Overlay
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Callback for the route controls.
+ */
+function readRouteOptions() {
+    ROUTE_OPTIONS = {
+        ideal: (document.getElementById("ideal-route") as HTMLInputElement).checked,
+        ghost: (document.getElementById("ghost") as HTMLInputElement).checked,
+    };
+    if (!ROUTE_OPTIONS.ideal && !ROUTE_OPTIONS.ghost) {
+        cancelRouteSearch();
+    }
+    redraw();
+}
+
+/**
+ * Describes the route search below the arena.
+ */
+function renderRouteStatus() {
+    let status = document.getElementById("route-status");
+    if (!status) {
+        return;
+    }
+
+    let search = ROUTE_SEARCH;
+    if ((!ROUTE_OPTIONS.ideal && !ROUTE_OPTIONS.ghost) || !search) {
+        status.textContent = "";
+        return;
+    }
+
+    switch (search.outcome) {
+        case null:
+            status.textContent = `Finding the ideal route… ${Math.round(search.progress * 100)}%`;
+            break;
+        case "found": {
+            let plan = search.plan!;
+            let clicks = plan.clicks.map(c => `tick ${c.tick + 1}: (${c.target.x}, ${c.target.y})`).join(", ");
+            status.textContent = `Ideal route: ${plan.clicks.length} click${plan.clicks.length == 1 ? "" : "s"}` +
+                (clicks ? ` - ${clicks}` : "") + ".";
+            break;
+        }
+        case "no-blasts":
+            status.textContent = "There are no blasts to route through.";
+            break;
+        case "gave-up":
+            status.textContent = `Gave up looking for the ideal route after trying ${search.simulations} clicks.`;
+            break;
+        case "no-route":
+            status.textContent = "No safe route exists that clicks at most once before each blast, near the centre of the arena.";
+            break;
+    }
+}
+
+/**
+ * Draws the ideal route next to the path the player actually took, and the ghost playing the route.
+ * Nothing is drawn until the search has found the route.
+ *
+ * @param state               The state being shown.
+ * @param c                   The context to draw on.
+ */
+function drawRoute(state: EngineSnapshot, c: CanvasRenderingContext2D = ctx) {
+    if (!ROUTE_OPTIONS.ideal && !ROUTE_OPTIONS.ghost) {
+        renderRouteStatus();
+        return;
+    }
+
+    let plan = currentRouteSearch(state).plan;
+    renderRouteStatus();
+    if (!plan) {
+        return;
+    }
+
+    if (ROUTE_OPTIONS.ideal) {
+        // The actual path runs just off-centre, so that it stays visible where it follows the route.
+        let actual = RECORDING.filter(r => r.tick < state.tick).map(r => new Point(r.state.player.x, r.state.player.y));
+        drawRouteLine([ORIGIN].concat(plan.positions), IDEAL_ROUTE_STROKE, 0.5, c);
+        drawRouteLine([ORIGIN].concat(actual), ACTUAL_ROUTE_STROKE, 0.65, c);
+
+        c.font = `${Math.round(TILE_SIZE * 0.5)}px Arial, Helvetica, sans-serif`;
+        c.textAlign = "center";
+        c.textBaseline = "middle";
+        for (const click of plan.clicks) {
+            highlightTile(click.target, IDEAL_ROUTE_STROKE, c);
+            c.fillStyle = IDEAL_ROUTE_STROKE;
+            c.fillText(String(click.tick + 1), (click.target.x + 0.5) * TILE_SIZE, (click.target.y + 0.5) * TILE_SIZE);
+        }
+    }
+
+    if (ROUTE_OPTIONS.ghost) {
+        let ghost = state.tick > 0 ? plan.positions[Math.min(state.tick, plan.positions.length) - 1] : ORIGIN;
+        c.globalAlpha = GHOST_ALPHA;
+        drawSquare(ghost, 1, GHOST_FILL, c);
+        c.globalAlpha = 1;
+    }
+}
+
+/**
+ * Draws a path through the centres of tiles.
+ *
+ * @param tiles               The tiles in order.
+ * @param stroke              The colour of the line.
+ * @param offset              Where in each tile the line passes through, from 0 (top-left) to 1 (bottom-right).
+ * @param c                   The context to draw on.
+ */
+function drawRouteLine(tiles: Point[], stroke: string, offset: number, c: CanvasRenderingContext2D = ctx) {
+    c.beginPath();
+    tiles.forEach((p, i) => {
+        let x = (p.x + offset) * TILE_SIZE;
+        let y = (p.y + offset) * TILE_SIZE;
+        if (i == 0) {
+            c.moveTo(x, y);
+        } else {
+            c.lineTo(x, y);
+        }
+    });
+    c.strokeStyle = stroke;
+    c.lineWidth = 2;
+    c.stroke();
+    c.lineWidth = 1;
+}
@@ -0,0 +1,61 @@
+/// ================================================================================================
+/// Globals
+/// ================================================================================================
+/** The scenario loaded from a file, if any. Kept until the page is closed or another file is loaded. */
+let CUSTOM_SCENARIO = null;
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+/**
+ * Fills the scenario selector with the built-in scenarios and the loaded one.
+ *
+ * @param selected            The value to select, or "" to build the sequence from the settings.
+ */
+function renderScenarios(selected = "") {
+    let scenarioInput = document.getElementById("scenario");
+    let options = [`<option value="">From Settings</option>`];
+    BUILT_IN_SCENARIOS.forEach((s, i) => options.push(`<option value="built-in:${i}">${escapeHtml(s.name)}</option>`));
+    if (CUSTOM_SCENARIO) {
+        options.push(`<option value="custom">${escapeHtml(CUSTOM_SCENARIO.name)}</option>`);
+    }
+    scenarioInput.innerHTML = options.join("");
+    scenarioInput.value = selected;
+}
+/**
+ * Returns the scenario chosen in the selector.
+ *
+ * @returns the scenario, or null to build the sequence from the settings.
+ */
+function selectedScenario() {
+    let value = document.getElementById("scenario").value;
+    if (value.startsWith("built-in:")) {
+        return BUILT_IN_SCENARIOS[Number(value.slice("built-in:".length))] || null;
+    }
+    return value == "custom" ? CUSTOM_SCENARIO : null;
+}
+/**
+ * Callback for the scenario file input. Loads the chosen file and selects it, or lists what is wrong with it.
+ *
+ * @param input               The file input.
+ */
+function loadScenarioFile(input) {
+    let file = input.files && input.files[0];
+    if (!file) {
+        return;
+    }
+    // Clear the input so that choosing the same file again, e.g. after fixing it, still loads it.
+    input.value = "";
+    let reader = new FileReader();
+    reader.onload = () => {
+        let result = readScenario(String(reader.result));
+        if (!result.scenario) {
+            alert(`Could not load the scenario "${file.name}":\n\n- ${result.errors.join("\n- ")}`);
+            return;
+        }
+        CUSTOM_SCENARIO = result.scenario;
+        renderScenarios("custom");
+        newPattern();
+    };
+    reader.onerror = () => alert(`Could not read the file "${file.name}".`);
+    reader.readAsText(file);
+}
@@ -0,0 +1,90 @@
+/// ================================================================================================
+/// Constants
+/// ================================================================================================
+const TEAMMATE_TILE_STROKE = "#f0c419";
+const TEAMMATE_LABEL_FILL  = "#f0c419";
+
+/** The skill a teammate starts with when they are added. */
+const DEFAULT_TEAMMATE_SKILL = 80;
+
+/// ================================================================================================
+/// Functions
+/// ================================================================================================
+
+/// ------------------------------------------------------------------------------------------------
+/// Settings
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Adds a skill input for each possible teammate. Only as many as the Teammates setting asks for are shown.
+ */
+function initTeammateInputs() {
+    let container = document.getElementById("teammate-skills") as HTMLElement;
+    let inputs: string[] = [];
+    for (let i = 1; i <= MAX_TEAMMATES; i++) {
+        inputs.push(`<div id="form"><label for="tm-skill-${i}">Bot ${i} Skill</label>` +
+            `<input type="number" id="tm-skill-${i}" name="tm-skill-${i}" min="0" max="100" value="${DEFAULT_TEAMMATE_SKILL}"></div>`);
+    }
+    container.innerHTML = inputs.join("");
+    renderTeammateInputs();
+}
+
+/**
+ * Callback for the Teammates setting. Shows a skill input for each teammate.
+ */
+function renderTeammateInputs() {
+    let count = clamp(Number((document.getElementById("tm") as HTMLInputElement).value) || 0, 0, MAX_TEAMMATES);
+    for (let i = 1; i <= MAX_TEAMMATES; i++) {
+        let input = document.getElementById(`tm-skill-${i}`) as HTMLInputElement;
+        (input.parentElement as HTMLElement).hidden = i > count;
+    }
+}
+
+/**
+ * Reads the skill of each teammate from the settings controls.
+ *
+ * @returns a skill from 0 to 100 for each teammate.
+ */
+function readTeammateSkills(): number[] {
+    let count = clamp(Number((document.getElementById("tm") as HTMLInputElement).value) || 0, 0, MAX_TEAMMATES);
+    let skills: number[] = [];
+    for (let i = 1; i <= count; i++) {
+        let input = document.getElementById(`tm-skill-${i}`) as HTMLInputElement;
+        skills.push(clamp(Number(input.value) || 0, 0, 100));
+    }
+
+    return skills;
+}
+
+/**
+ * Sets the teammate controls to a list of skills.
+ *
+ * @param skills              The skill of each teammate.
+ */
+function writeTeammateSkills(skills: number[]) {
+    (document.getElementById("tm") as HTMLInputElement).value = String(skills.length);
+    skills.forEach((skill, i) => (document.getElementById(`tm-skill-${i + 1}`) as HTMLInputElement).value = String(skill));
+    renderTeammateInputs();
+}
+
+/// ------------------------------------------------------------------------------------------------
+/// Rendering
+/// ------------------------------------------------------------------------------------------------
+
+/**
+ * Outlines each teammate's tile, labelled with their number.
+ *
+ * @param state               The engine state to draw the teammates from.
+ * @param c                   The context to draw on.
+ */
+function drawTeammates(state: EngineSnapshot, c: CanvasRenderingContext2D = ctx) {
+    c.font = `${Math.round(TILE_SIZE * 0.6)}px Arial, Helvetica, sans-serif`;
+    c.textAlign = "center";
+    c.textBaseline = "middle";
+    c.fillStyle = TEAMMATE_LABEL_FILL;
+    state.teammates.forEach((t, i) => {
+        let pos = new Point(t.x, t.y);
+        highlightTile(pos, TEAMMATE_TILE_STROKE, c);
+        c.fillText(String(i + 1), (t.x + 0.5) * TILE_SIZE, (t.y + 0.5) * TILE_SIZE);
+    });
+}